@@ -1,12 +1,39 @@
 const requireApiKeyInput = document.getElementById('require-api-key');
 const maxRoomsInput = document.getElementById('max-rooms');
+const drainModeInput = document.getElementById('drain-mode');
 const roomCount = document.getElementById('room-count');
 const configStatus = document.getElementById('config-status');
 const keyList = document.getElementById('key-list');
 const newKeyInput = document.getElementById('new-key');
+const newKeyLabelInput = document.getElementById('new-key-label');
+const newKeyMaxRoomsInput = document.getElementById('new-key-max-rooms');
+const newKeyExpiresInput = document.getElementById('new-key-expires');
+const newKeyNamespaceSelect = document.getElementById('new-key-namespace');
 const addKeyButton = document.getElementById('add-key');
 const generateKeyButton = document.getElementById('generate-key');
+const namespaceList = document.getElementById('namespace-list');
+const newNamespaceIdInput = document.getElementById('new-namespace-id');
+const newNamespaceLabelInput = document.getElementById('new-namespace-label');
+const newNamespaceMaxRoomsInput = document.getElementById('new-namespace-max-rooms');
+const newNamespaceRequireKeyInput = document.getElementById('new-namespace-require-key');
+const addNamespaceButton = document.getElementById('add-namespace');
 const langSelect = document.getElementById('lang-select');
+const loginPanel = document.getElementById('login-panel');
+const loginForm = document.getElementById('login-form');
+const loginTokenInput = document.getElementById('login-token');
+const loginStatus = document.getElementById('login-status');
+const adminContent = document.getElementById('admin-content');
+const logoutButton = document.getElementById('logout');
+const roomList = document.getElementById('room-list');
+const clientList = document.getElementById('client-list');
+const refreshInspectorButton = document.getElementById('refresh-inspector');
+const auditList = document.getElementById('audit-list');
+const auditFilters = document.getElementById('audit-filters');
+const auditLevelSelect = document.getElementById('audit-level');
+const auditEventInput = document.getElementById('audit-event');
+const auditClientInput = document.getElementById('audit-client');
+const auditRoomInput = document.getElementById('audit-room');
+const refreshAuditButton = document.getElementById('refresh-audit');
 
 const LANG_STORAGE_KEY = 'miliastra-collab:lang';
 
@@ -15,10 +42,17 @@ const translations = {
     'header.title': '"Genshin Impact - Miliastra Wonderland" Collaboration Signal Server Control Panel',
     'header.subtitle': 'Configure public rooms, API keys, and room limits',
     'header.language': 'Switch Language',
+    'login.title': 'Administrator Login',
+    'login.token': 'Admin token',
+    'login.submit': 'Log in',
+    'login.logout': 'Log out',
+    'login.failed': 'Invalid admin token',
+    'login.error': 'Unable to log in, please try again',
     'config.title': 'Server Configuration',
     'config.requireApiKey': 'Require API key to create rooms',
     'config.maxRooms': 'Maximum rooms (0 = unlimited)',
     'config.activeRooms': 'Active rooms',
+    'config.drain': 'Drain mode (refuse new rooms and clients, keep existing rooms)',
     'keys.title': 'API Keys',
     'keys.placeholder': 'Input or leave empty to generate',
     'keys.add': 'Add Key',
@@ -26,6 +60,41 @@ const translations = {
     'keys.empty': 'No API keys configured',
     'keys.copy': 'Copy',
     'keys.remove': 'Remove',
+    'keys.labelPlaceholder': 'Label (optional)',
+    'keys.maxRoomsPlaceholder': 'Max rooms (0 = unlimited)',
+    'keys.unlabeled': 'Unlabeled key',
+    'keys.status': 'Status',
+    'keys.active': 'Active',
+    'keys.disabled': 'Disabled',
+    'keys.expired': 'Expired',
+    'keys.created': 'Created',
+    'keys.expires': 'Expires',
+    'keys.never': 'Never',
+    'keys.rooms': 'Rooms (active / limit)',
+    'keys.unlimited': 'unlimited',
+    'keys.roomsCreated': 'Rooms created',
+    'keys.lastUsed': 'Last used',
+    'keys.save': 'Save',
+    'keys.enable': 'Enable',
+    'keys.disable': 'Disable',
+    'keys.closeRoomsConfirm': 'Also close the rooms created with this key?',
+    'keys.namespace': 'Namespace',
+    'namespaces.title': 'Namespaces',
+    'namespaces.idPlaceholder': 'ID (a-z, 0-9, - and _)',
+    'namespaces.labelPlaceholder': 'Label (optional)',
+    'namespaces.maxRoomsPlaceholder': 'Max rooms (0 = unlimited)',
+    'namespaces.requireApiKey': 'Require API key',
+    'namespaces.add': 'Add namespace',
+    'namespaces.empty': 'No namespaces configured, all rooms share the default namespace',
+    'namespaces.default': 'Default namespace',
+    'namespaces.rooms': 'Rooms (active / limit)',
+    'namespaces.keys': 'API keys',
+    'namespaces.keyRequired': 'API key required',
+    'namespaces.yes': 'Yes',
+    'namespaces.no': 'No',
+    'namespaces.save': 'Save',
+    'namespaces.remove': 'Remove',
+    'namespaces.closeRoomsConfirm': 'Also close the rooms in this namespace?',
     'status.saving': 'Saving settings...',
     'status.saved': 'Settings saved',
     'status.saveFailed': 'Failed to save settings, please try again',
@@ -39,16 +108,66 @@ const translations = {
     'status.removeKeyFailed': 'Failed to remove API key, please try again',
     'status.keyCopied': 'API key copied',
     'status.keyCopyFailed': 'Unable to copy API key, please try again',
+    'status.keyUpdated': 'API key updated',
+    'status.updateKeyFailed': 'Failed to update API key, please try again',
+    'status.namespaceAdded': 'Namespace added',
+    'status.addNamespaceFailed': 'Failed to add namespace, check the ID and try again',
+    'status.namespaceUpdated': 'Namespace updated',
+    'status.updateNamespaceFailed': 'Failed to update namespace, please try again',
+    'status.namespaceRemoved': 'Namespace removed',
+    'status.removeNamespaceFailed': 'Failed to remove namespace; move or remove its API keys first',
     'status.loadFailed': 'Failed to load config, please restart the server or check file integrity',
+    'status.drainEnabled': 'Drain mode enabled',
+    'status.drainDisabled': 'Drain mode disabled',
+    'status.drainFailed': 'Failed to change drain mode, please try again',
+    'inspector.refresh': 'Refresh',
+    'rooms.title': 'Rooms',
+    'rooms.empty': 'No active rooms',
+    'rooms.public': 'Public',
+    'rooms.lan': 'LAN',
+    'rooms.network': 'Network',
+    'rooms.host': 'Host',
+    'rooms.members': 'Members',
+    'rooms.created': 'Created',
+    'rooms.hostOffline': 'Host offline since',
+    'rooms.close': 'Close Room',
+    'clients.title': 'Connected Clients',
+    'clients.empty': 'No connected clients',
+    'clients.address': 'Address',
+    'clients.connected': 'Connected',
+    'clients.appVersion': 'App version',
+    'clients.hosting': 'Hosting',
+    'clients.memberOf': 'Joined',
+    'clients.disconnect': 'Disconnect',
+    'status.roomClosed': 'Room closed',
+    'status.closeRoomFailed': 'Failed to close room, please try again',
+    'status.clientDisconnected': 'Client disconnected',
+    'status.disconnectFailed': 'Failed to disconnect client, please try again',
+    'status.inspectorFailed': 'Failed to load rooms and clients',
+    'audit.title': 'Audit Log',
+    'audit.allLevels': 'All levels',
+    'audit.event': 'Event',
+    'audit.clientId': 'Client ID',
+    'audit.roomId': 'Room ID',
+    'audit.filter': 'Filter',
+    'audit.empty': 'No matching entries',
+    'status.auditFailed': 'Failed to load audit log',
   },
   zh: {
     'header.title': '《原神·千星奇域》节点图模拟器多人编辑服务器控制台',
     'header.subtitle': '配置公共房间、API密钥及房间数限制',
     'header.language': '切换语言',
+    'login.title': '管理员登录',
+    'login.token': '管理员令牌',
+    'login.submit': '登录',
+    'login.logout': '退出登录',
+    'login.failed': '管理员令牌无效',
+    'login.error': '登录失败，请重试',
     'config.title': '服务器设置',
     'config.requireApiKey': '创建房间需要API密钥',
     'config.maxRooms': '最大房间数（0为无限）',
     'config.activeRooms': '已创建',
+    'config.drain': '排空模式（拒绝新房间及新客户端，保留现有房间）',
     'keys.title': 'API密钥',
     'keys.placeholder': '输入密钥或留空以生成',
     'keys.add': '添加密钥',
@@ -56,6 +175,41 @@ const translations = {
     'keys.empty': '暂无API密钥',
     'keys.copy': '复制',
     'keys.remove': '删除',
+    'keys.labelPlaceholder': '备注（可选）',
+    'keys.maxRoomsPlaceholder': '最大房间数（0为无限）',
+    'keys.unlabeled': '未命名密钥',
+    'keys.status': '状态',
+    'keys.active': '启用',
+    'keys.disabled': '已停用',
+    'keys.expired': '已过期',
+    'keys.created': '创建于',
+    'keys.expires': '过期时间',
+    'keys.never': '永不',
+    'keys.rooms': '房间数（当前 / 上限）',
+    'keys.unlimited': '无限',
+    'keys.roomsCreated': '累计创建房间',
+    'keys.lastUsed': '最近使用',
+    'keys.save': '保存',
+    'keys.enable': '启用',
+    'keys.disable': '停用',
+    'keys.closeRoomsConfirm': '是否同时关闭使用此密钥创建的房间？',
+    'keys.namespace': '命名空间',
+    'namespaces.title': '命名空间',
+    'namespaces.idPlaceholder': 'ID（a-z、0-9、-和_）',
+    'namespaces.labelPlaceholder': '备注（可选）',
+    'namespaces.maxRoomsPlaceholder': '最大房间数（0为无限）',
+    'namespaces.requireApiKey': '需要API密钥',
+    'namespaces.add': '添加命名空间',
+    'namespaces.empty': '暂无命名空间，所有房间均位于默认命名空间',
+    'namespaces.default': '默认命名空间',
+    'namespaces.rooms': '房间数（当前 / 上限）',
+    'namespaces.keys': 'API密钥',
+    'namespaces.keyRequired': '需要API密钥',
+    'namespaces.yes': '是',
+    'namespaces.no': '否',
+    'namespaces.save': '保存',
+    'namespaces.remove': '删除',
+    'namespaces.closeRoomsConfirm': '是否同时关闭此命名空间中的房间？',
     'status.saving': '正在保存设置...',
     'status.saved': '设置已保存',
     'status.saveFailed': '保存设置失败，请重试',
@@ -69,7 +223,50 @@ const translations = {
     'status.removeKeyFailed': '移除密钥失败，请重试',
     'status.keyCopied': '已复制密钥',
     'status.keyCopyFailed': '复制密钥失败，请重试',
+    'status.keyUpdated': '已更新密钥',
+    'status.updateKeyFailed': '更新密钥失败，请重试',
+    'status.namespaceAdded': '已添加命名空间',
+    'status.addNamespaceFailed': '添加命名空间失败，请检查ID后重试',
+    'status.namespaceUpdated': '已更新命名空间',
+    'status.updateNamespaceFailed': '更新命名空间失败，请重试',
+    'status.namespaceRemoved': '已删除命名空间',
+    'status.removeNamespaceFailed': '删除命名空间失败，请先迁移或删除其API密钥',
     'status.loadFailed': '加载设置失败，请重启服务器或检查文件完整性',
+    'status.drainEnabled': '已开启排空模式',
+    'status.drainDisabled': '已关闭排空模式',
+    'status.drainFailed': '切换排空模式失败，请重试',
+    'inspector.refresh': '刷新',
+    'rooms.title': '房间',
+    'rooms.empty': '暂无房间',
+    'rooms.public': '公共',
+    'rooms.lan': '局域网',
+    'rooms.network': '网络',
+    'rooms.host': '房主',
+    'rooms.members': '成员',
+    'rooms.created': '创建于',
+    'rooms.hostOffline': '房主离线于',
+    'rooms.close': '关闭房间',
+    'clients.title': '已连接客户端',
+    'clients.empty': '暂无已连接客户端',
+    'clients.address': '地址',
+    'clients.connected': '连接于',
+    'clients.appVersion': '客户端版本',
+    'clients.hosting': '主持',
+    'clients.memberOf': '已加入',
+    'clients.disconnect': '断开连接',
+    'status.roomClosed': '已关闭房间',
+    'status.closeRoomFailed': '关闭房间失败，请重试',
+    'status.clientDisconnected': '已断开客户端',
+    'status.disconnectFailed': '断开客户端失败，请重试',
+    'status.inspectorFailed': '加载房间及客户端失败',
+    'audit.title': '审计日志',
+    'audit.allLevels': '全部级别',
+    'audit.event': '事件',
+    'audit.clientId': '客户端ID',
+    'audit.roomId': '房间ID',
+    'audit.filter': '筛选',
+    'audit.empty': '没有符合条件的记录',
+    'status.auditFailed': '加载审计日志失败',
   },
 };
 
@@ -82,9 +279,14 @@ const detectDefaultLang = () => {
 
 let currentLang = detectDefaultLang();
 let cachedKeys = [];
-let cachedConfig = { requireApiKey: false, maxRooms: 0, roomCount: 0 };
+let cachedNamespaces = [];
+let cachedRooms = [];
+let cachedClients = [];
+let cachedAudit = [];
+let cachedConfig = { requireApiKey: false, maxRooms: 0, roomCount: 0, draining: false };
 let statusState = { key: '', state: '' };
 let configSaveTimer = null;
+let loginStatusKey = '';
 
 const t = (key) => translations[currentLang]?.[key] ?? translations.en[key] ?? key;
 
@@ -106,6 +308,24 @@ const setStatusKey = (key, state) => {
   setStatus(t(key), state);
 };
 
+const setLoginStatusKey = (key) => {
+  loginStatusKey = key;
+  loginStatus.textContent = key ? t(key) : '';
+  if (key) {
+    loginStatus.dataset.state = 'error';
+  } else {
+    delete loginStatus.dataset.state;
+  }
+};
+
+const showLogin = (visible) => {
+  loginPanel.hidden = !visible;
+  adminContent.hidden = visible;
+  if (visible) {
+    loginTokenInput.focus();
+  }
+};
+
 const applyTranslations = () => {
   document.documentElement.lang = currentLang === 'zh' ? 'zh-CN' : 'en';
   document.querySelectorAll('[data-i18n]').forEach((node) => {
@@ -123,10 +343,17 @@ const applyTranslations = () => {
   if (langSelect) {
     langSelect.value = currentLang;
   }
+  renderNamespaces(cachedNamespaces);
   renderKeys(cachedKeys);
+  renderRooms(cachedRooms);
+  renderClients(cachedClients);
+  renderAudit(cachedAudit);
   if (statusState.key) {
     setStatus(t(statusState.key), statusState.state);
   }
+  if (loginStatusKey) {
+    loginStatus.textContent = t(loginStatusKey);
+  }
 };
 
 const setLanguage = (lang) => {
@@ -139,6 +366,9 @@ const setLanguage = (lang) => {
 const fetchJson = async (url, options = {}) => {
   const response = await fetch(url, options);
   const data = await response.json();
+  if (response.status === 401) {
+    showLogin(true);
+  }
   if (!response.ok) {
     const error = new Error(data?.error || 'Request failed');
     error.payload = data;
@@ -167,6 +397,173 @@ const copyText = async (value) => {
   return success;
 };
 
+const toDateTimeInput = (value) =>
+  value ? new Date(value - new Date(value).getTimezoneOffset() * 60_000).toISOString().slice(0, 16) : '';
+
+const fromDateTimeInput = (value) => (value ? new Date(value).getTime() : null);
+
+const readMaxRooms = (input) => {
+  const value = Number.parseInt(input.value, 10);
+  return Number.isInteger(value) && value >= 0 ? value : 0;
+};
+
+const postKeyAction = (payload) =>
+  fetchJson('api/keys', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+
+const createTextInput = (type, value, placeholderKey) => {
+  const input = document.createElement('input');
+  input.type = type;
+  input.value = value;
+  if (placeholderKey) {
+    input.placeholder = t(placeholderKey);
+  }
+  return input;
+};
+
+const describeKeyStatus = (record) => {
+  if (!record.enabled) return t('keys.disabled');
+  if (record.expired) return t('keys.expired');
+  return t('keys.active');
+};
+
+const formatNamespace = (id) => {
+  if (!id) return t('namespaces.default');
+  const entry = cachedNamespaces.find((namespace) => namespace.id === id);
+  return entry?.label ? `${entry.label} (${id})` : id;
+};
+
+const fillNamespaceOptions = (select, value) => {
+  select.innerHTML = '';
+  ['', ...cachedNamespaces.map((namespace) => namespace.id)].forEach((id) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = formatNamespace(id);
+    select.appendChild(option);
+  });
+  select.value = value;
+};
+
+const createNamespaceSelect = (value) => {
+  const select = document.createElement('select');
+  fillNamespaceOptions(select, value);
+  return select;
+};
+
+const postNamespaceAction = (payload) =>
+  fetchJson('api/namespaces', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+
+const renderNamespaces = (namespaces) => {
+  cachedNamespaces = Array.isArray(namespaces) ? [...namespaces] : [];
+  fillNamespaceOptions(newKeyNamespaceSelect, newKeyNamespaceSelect.value || '');
+  namespaceList.innerHTML = '';
+  if (!cachedNamespaces.length) {
+    renderEmpty(namespaceList, 'namespaces.empty');
+    return;
+  }
+  cachedNamespaces.forEach((namespace) => {
+    const { id } = namespace;
+    const item = document.createElement('li');
+    item.className = 'key-item';
+
+    const details = document.createElement('div');
+    details.className = 'entry-details';
+    const title = document.createElement('strong');
+    title.textContent = namespace.label || id;
+    details.appendChild(title);
+    const code = document.createElement('code');
+    code.textContent = id;
+    details.appendChild(code);
+    details.appendChild(
+      createDetailLine(
+        t('namespaces.rooms'),
+        `${namespace.activeRooms ?? 0} / ${namespace.maxRooms || t('keys.unlimited')}`,
+      ),
+    );
+    details.appendChild(createDetailLine(t('namespaces.keys'), namespace.keyCount ?? 0));
+    details.appendChild(
+      createDetailLine(
+        t('namespaces.keyRequired'),
+        t(namespace.requireApiKey ? 'namespaces.yes' : 'namespaces.no'),
+      ),
+    );
+
+    const editor = document.createElement('div');
+    editor.className = 'row';
+    const labelInput = createTextInput('text', namespace.label ?? '', 'namespaces.labelPlaceholder');
+    const quotaInput = createTextInput(
+      'number',
+      String(namespace.maxRooms ?? 0),
+      'namespaces.maxRoomsPlaceholder',
+    );
+    quotaInput.min = '0';
+    const requireKeyLabel = document.createElement('label');
+    requireKeyLabel.className = 'field field--checkbox';
+    const requireKeyInput = document.createElement('input');
+    requireKeyInput.type = 'checkbox';
+    requireKeyInput.checked = Boolean(namespace.requireApiKey);
+    const requireKeyText = document.createElement('span');
+    requireKeyText.textContent = t('namespaces.requireApiKey');
+    requireKeyLabel.appendChild(requireKeyInput);
+    requireKeyLabel.appendChild(requireKeyText);
+    const saveButton = document.createElement('button');
+    saveButton.type = 'button';
+    saveButton.textContent = t('namespaces.save');
+    saveButton.className = 'secondary';
+    saveButton.addEventListener('click', async () => {
+      try {
+        await postNamespaceAction({
+          action: 'update',
+          id,
+          label: labelInput.value.trim(),
+          maxRooms: readMaxRooms(quotaInput),
+          requireApiKey: requireKeyInput.checked,
+        });
+        await loadConfig();
+        setStatusKey('status.namespaceUpdated', '');
+      } catch {
+        setStatusKey('status.updateNamespaceFailed', 'error');
+      }
+    });
+    editor.appendChild(labelInput);
+    editor.appendChild(quotaInput);
+    editor.appendChild(requireKeyLabel);
+    editor.appendChild(saveButton);
+    details.appendChild(editor);
+    item.appendChild(details);
+
+    const actions = document.createElement('div');
+    actions.className = 'row';
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.textContent = t('namespaces.remove');
+    removeButton.className = 'danger';
+    removeButton.addEventListener('click', async () => {
+      try {
+        await postNamespaceAction({
+          action: 'remove',
+          id,
+          closeRooms: namespace.activeRooms > 0 && window.confirm(t('namespaces.closeRoomsConfirm')),
+        });
+        await loadConfig();
+        setStatusKey('status.namespaceRemoved', '');
+      } catch {
+        setStatusKey('status.removeNamespaceFailed', 'error');
+      }
+    });
+    actions.appendChild(removeButton);
+    item.appendChild(actions);
+    namespaceList.appendChild(item);
+  });
+};
+
 const renderKeys = (keys) => {
   cachedKeys = Array.isArray(keys) ? [...keys] : [];
   keyList.innerHTML = '';
@@ -177,13 +574,68 @@ const renderKeys = (keys) => {
     keyList.appendChild(empty);
     return;
   }
-  cachedKeys.forEach((key) => {
+  cachedKeys.forEach((record) => {
+    const { key } = record;
     const item = document.createElement('li');
     item.className = 'key-item';
 
+    const details = document.createElement('div');
+    details.className = 'entry-details';
+    const title = document.createElement('strong');
+    title.textContent = record.label || t('keys.unlabeled');
+    details.appendChild(title);
     const code = document.createElement('code');
     code.textContent = key;
-    item.appendChild(code);
+    details.appendChild(code);
+    details.appendChild(createDetailLine(t('keys.status'), describeKeyStatus(record)));
+    details.appendChild(createDetailLine(t('keys.namespace'), formatNamespace(record.namespace)));
+    details.appendChild(createDetailLine(t('keys.created'), formatTime(record.createdAt)));
+    details.appendChild(
+      createDetailLine(t('keys.expires'), record.expiresAt ? formatTime(record.expiresAt) : t('keys.never')),
+    );
+    details.appendChild(
+      createDetailLine(
+        t('keys.rooms'),
+        `${record.activeRooms ?? 0} / ${record.maxRooms || t('keys.unlimited')}`,
+      ),
+    );
+    details.appendChild(createDetailLine(t('keys.roomsCreated'), record.roomsCreated ?? 0));
+    details.appendChild(createDetailLine(t('keys.lastUsed'), formatTime(record.lastUsedAt)));
+
+    const editor = document.createElement('div');
+    editor.className = 'row';
+    const labelInput = createTextInput('text', record.label ?? '', 'keys.labelPlaceholder');
+    const quotaInput = createTextInput('number', String(record.maxRooms ?? 0), 'keys.maxRoomsPlaceholder');
+    quotaInput.min = '0';
+    const expiresInput = createTextInput('datetime-local', toDateTimeInput(record.expiresAt));
+    const namespaceSelect = createNamespaceSelect(record.namespace ?? '');
+    const saveButton = document.createElement('button');
+    saveButton.type = 'button';
+    saveButton.textContent = t('keys.save');
+    saveButton.className = 'secondary';
+    saveButton.addEventListener('click', async () => {
+      try {
+        await postKeyAction({
+          action: 'update',
+          key,
+          label: labelInput.value.trim(),
+          maxRooms: readMaxRooms(quotaInput),
+          expiresAt: fromDateTimeInput(expiresInput.value),
+          namespace: namespaceSelect.value,
+        });
+        await loadConfig();
+        setStatusKey('status.keyUpdated', '');
+      } catch {
+        setStatusKey('status.updateKeyFailed', 'error');
+      }
+    });
+    editor.appendChild(labelInput);
+    editor.appendChild(quotaInput);
+    editor.appendChild(expiresInput);
+    editor.appendChild(namespaceSelect);
+    editor.appendChild(saveButton);
+    details.appendChild(editor);
+    item.appendChild(details);
 
     const actions = document.createElement('div');
     actions.className = 'row';
@@ -197,17 +649,33 @@ const renderKeys = (keys) => {
       setStatusKey(ok ? 'status.keyCopied' : 'status.keyCopyFailed', ok ? '' : 'error');
     });
 
+    const shouldCloseRooms = () => record.activeRooms > 0 && window.confirm(t('keys.closeRoomsConfirm'));
+
+    const toggleButton = document.createElement('button');
+    toggleButton.type = 'button';
+    toggleButton.textContent = t(record.enabled ? 'keys.disable' : 'keys.enable');
+    toggleButton.className = 'secondary';
+    toggleButton.addEventListener('click', async () => {
+      try {
+        await postKeyAction(
+          record.enabled
+            ? { action: 'disable', key, closeRooms: shouldCloseRooms() }
+            : { action: 'update', key, enabled: true },
+        );
+        await loadConfig();
+        setStatusKey('status.keyUpdated', '');
+      } catch {
+        setStatusKey('status.updateKeyFailed', 'error');
+      }
+    });
+
     const removeButton = document.createElement('button');
     removeButton.type = 'button';
     removeButton.textContent = t('keys.remove');
     removeButton.className = 'danger';
     removeButton.addEventListener('click', async () => {
       try {
-        await fetchJson('/api/keys', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ action: 'remove', key }),
-        });
+        await postKeyAction({ action: 'remove', key, closeRooms: shouldCloseRooms() });
         await loadConfig();
         setStatusKey('status.keyRemoved', '');
       } catch {
@@ -216,33 +684,234 @@ const renderKeys = (keys) => {
     });
 
     actions.appendChild(copyButton);
+    actions.appendChild(toggleButton);
     actions.appendChild(removeButton);
     item.appendChild(actions);
     keyList.appendChild(item);
   });
 };
 
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const formatMember = (member) =>
+  member.nickname ? `${member.nickname} (${member.clientId})` : member.clientId;
+
+const createDetailLine = (label, value) => {
+  const line = document.createElement('span');
+  line.className = 'meta';
+  line.textContent = `${label}: ${value}`;
+  return line;
+};
+
+const renderEmpty = (list, key) => {
+  const empty = document.createElement('li');
+  empty.textContent = t(key);
+  empty.className = 'status';
+  list.appendChild(empty);
+};
+
+const renderRooms = (rooms) => {
+  cachedRooms = Array.isArray(rooms) ? [...rooms] : [];
+  roomList.innerHTML = '';
+  if (!cachedRooms.length) {
+    renderEmpty(roomList, 'rooms.empty');
+    return;
+  }
+  cachedRooms.forEach((room) => {
+    const item = document.createElement('li');
+    item.className = 'key-item';
+
+    const details = document.createElement('div');
+    details.className = 'entry-details';
+    const title = document.createElement('strong');
+    const kindLabel = t(room.kind === 'lan' ? 'rooms.lan' : 'rooms.public');
+    title.textContent = `[${kindLabel}] ${room.meta?.name || room.roomId}`;
+    details.appendChild(title);
+    const code = document.createElement('code');
+    code.textContent = room.roomId;
+    details.appendChild(code);
+    if (room.kind === 'lan') {
+      details.appendChild(createDetailLine(t('rooms.network'), room.networkKey));
+    }
+    if (room.namespace) {
+      details.appendChild(createDetailLine(t('keys.namespace'), formatNamespace(room.namespace)));
+    }
+    details.appendChild(createDetailLine(t('rooms.host'), formatMember(room.host)));
+    if (room.hostOfflineSince) {
+      details.appendChild(createDetailLine(t('rooms.hostOffline'), formatTime(room.hostOfflineSince)));
+    }
+    const members =
+      room.members.map((member) => `${formatMember(member)} [${member.role}]`).join(', ') || '-';
+    details.appendChild(createDetailLine(`${t('rooms.members')} (${room.members.length})`, members));
+    details.appendChild(createDetailLine(t('rooms.created'), formatTime(room.createdAt)));
+    item.appendChild(details);
+
+    const actions = document.createElement('div');
+    actions.className = 'row';
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.textContent = t('rooms.close');
+    closeButton.className = 'danger';
+    closeButton.addEventListener('click', async () => {
+      try {
+        await fetchJson('api/rooms', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            action: 'close',
+            kind: room.kind,
+            roomId: room.roomId,
+            networkKey: room.networkKey,
+          }),
+        });
+        await loadInspector();
+        setStatusKey('status.roomClosed', '');
+      } catch {
+        setStatusKey('status.closeRoomFailed', 'error');
+      }
+    });
+    actions.appendChild(closeButton);
+    item.appendChild(actions);
+    roomList.appendChild(item);
+  });
+};
+
+const renderClients = (clientEntries) => {
+  cachedClients = Array.isArray(clientEntries) ? [...clientEntries] : [];
+  clientList.innerHTML = '';
+  if (!cachedClients.length) {
+    renderEmpty(clientList, 'clients.empty');
+    return;
+  }
+  cachedClients.forEach((client) => {
+    const item = document.createElement('li');
+    item.className = 'key-item';
+
+    const details = document.createElement('div');
+    details.className = 'entry-details';
+    const title = document.createElement('strong');
+    title.textContent = formatMember(client);
+    details.appendChild(title);
+    details.appendChild(
+      createDetailLine(t('clients.address'), `${client.address || '-'} (${client.networkKey})`),
+    );
+    details.appendChild(createDetailLine(t('clients.connected'), formatTime(client.connectedAt)));
+    if (client.appVersion) {
+      details.appendChild(createDetailLine(t('clients.appVersion'), client.appVersion));
+    }
+    if (client.hosting.length) {
+      details.appendChild(createDetailLine(t('clients.hosting'), client.hosting.join(', ')));
+    }
+    if (client.memberOf.length) {
+      details.appendChild(createDetailLine(t('clients.memberOf'), client.memberOf.join(', ')));
+    }
+    item.appendChild(details);
+
+    const actions = document.createElement('div');
+    actions.className = 'row';
+    const disconnectButton = document.createElement('button');
+    disconnectButton.type = 'button';
+    disconnectButton.textContent = t('clients.disconnect');
+    disconnectButton.className = 'danger';
+    disconnectButton.addEventListener('click', async () => {
+      try {
+        await fetchJson('api/clients', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ action: 'disconnect', clientId: client.clientId }),
+        });
+        await loadInspector();
+        setStatusKey('status.clientDisconnected', '');
+      } catch {
+        setStatusKey('status.disconnectFailed', 'error');
+      }
+    });
+    actions.appendChild(disconnectButton);
+    item.appendChild(actions);
+    clientList.appendChild(item);
+  });
+};
+
+const loadInspector = async () => {
+  const [roomData, clientData] = await Promise.all([fetchJson('api/rooms'), fetchJson('api/clients')]);
+  renderRooms(roomData.rooms);
+  renderClients(clientData.clients);
+};
+
+const AUDIT_BASE_FIELDS = new Set(['ts', 'level', 'event']);
+
+const renderAudit = (entries) => {
+  cachedAudit = Array.isArray(entries) ? [...entries] : [];
+  auditList.innerHTML = '';
+  if (!cachedAudit.length) {
+    renderEmpty(auditList, 'audit.empty');
+    return;
+  }
+  cachedAudit.forEach((entry) => {
+    const item = document.createElement('li');
+    item.className = 'audit-entry';
+    item.dataset.level = entry.level;
+    const details = Object.entries(entry)
+      .filter(([key, value]) => !AUDIT_BASE_FIELDS.has(key) && value !== undefined)
+      .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join(' ');
+    item.textContent = `${formatTime(entry.ts)} [${entry.level}] ${entry.event} ${details}`;
+    auditList.appendChild(item);
+  });
+};
+
+const loadAudit = async () => {
+  const params = new URLSearchParams();
+  const filters = {
+    level: auditLevelSelect.value,
+    event: auditEventInput.value.trim(),
+    clientId: auditClientInput.value.trim(),
+    roomId: auditRoomInput.value.trim(),
+  };
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) {
+      params.set(key, value);
+    }
+  });
+  const data = await fetchJson(`api/audit?${params.toString()}`);
+  renderAudit(data.entries);
+};
+
+const refreshAudit = () => {
+  loadAudit().catch(() => {
+    setStatusKey('status.auditFailed', 'error');
+  });
+};
+
 const applyConfig = (data) => {
   cachedConfig = {
     requireApiKey: Boolean(data.requireApiKey),
     maxRooms: Number(data.maxRooms ?? 0),
     roomCount: Number(data.roomCount ?? 0),
+    draining: Boolean(data.draining),
   };
   requireApiKeyInput.checked = cachedConfig.requireApiKey;
+  drainModeInput.checked = cachedConfig.draining;
   maxRoomsInput.value = Number.isFinite(cachedConfig.maxRooms) ? String(cachedConfig.maxRooms) : '0';
   roomCount.textContent = String(cachedConfig.roomCount ?? 0);
+  renderNamespaces(Array.isArray(data.namespaces) ? data.namespaces : []);
   renderKeys(Array.isArray(data.apiKeys) ? data.apiKeys : []);
 };
 
 const loadConfig = async () => {
-  const data = await fetchJson('/api/config');
+  const data = await fetchJson('api/config');
   applyConfig(data);
+  showLogin(false);
+  loadInspector().catch(() => {
+    setStatusKey('status.inspectorFailed', 'error');
+  });
+  refreshAudit();
 };
 
 const saveConfig = async () => {
   setStatusKey('status.saving', '');
   try {
-    await fetchJson('/api/config', {
+    await fetchJson('api/config', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
@@ -276,18 +945,42 @@ maxRoomsInput.addEventListener('change', () => {
   void saveConfig();
 });
 
-addKeyButton.addEventListener('click', async () => {
-  setStatusKey('status.addingKey', '');
+drainModeInput.addEventListener('change', async () => {
+  const enabled = drainModeInput.checked;
   try {
-    await fetchJson('/api/keys', {
+    const data = await fetchJson('api/server', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        action: 'add',
-        key: newKeyInput.value.trim() || undefined,
-      }),
+      body: JSON.stringify({ action: enabled ? 'drain' : 'resume' }),
     });
-    newKeyInput.value = '';
+    applyConfig(data);
+    setStatusKey(enabled ? 'status.drainEnabled' : 'status.drainDisabled', '');
+  } catch {
+    drainModeInput.checked = cachedConfig.draining;
+    setStatusKey('status.drainFailed', 'error');
+  }
+});
+
+const readNewKeyFields = () => ({
+  label: newKeyLabelInput.value.trim(),
+  maxRooms: readMaxRooms(newKeyMaxRoomsInput),
+  expiresAt: fromDateTimeInput(newKeyExpiresInput.value),
+  namespace: newKeyNamespaceSelect.value,
+});
+
+const resetNewKeyFields = () => {
+  newKeyInput.value = '';
+  newKeyLabelInput.value = '';
+  newKeyMaxRoomsInput.value = '';
+  newKeyExpiresInput.value = '';
+  newKeyNamespaceSelect.value = '';
+};
+
+addKeyButton.addEventListener('click', async () => {
+  setStatusKey('status.addingKey', '');
+  try {
+    await postKeyAction({ action: 'add', key: newKeyInput.value.trim() || undefined, ...readNewKeyFields() });
+    resetNewKeyFields();
     await loadConfig();
     setStatusKey('status.keyAdded', '');
   } catch {
@@ -298,17 +991,71 @@ addKeyButton.addEventListener('click', async () => {
 generateKeyButton.addEventListener('click', async () => {
   setStatusKey('status.generatingKey', '');
   try {
-    await fetchJson('/api/keys', {
+    await postKeyAction({ action: 'add', ...readNewKeyFields() });
+    resetNewKeyFields();
+    await loadConfig();
+    setStatusKey('status.keyGenerated', '');
+  } catch {
+    setStatusKey('status.generateKeyFailed', 'error');
+  }
+});
+
+addNamespaceButton.addEventListener('click', async () => {
+  try {
+    await postNamespaceAction({
+      action: 'add',
+      id: newNamespaceIdInput.value.trim(),
+      label: newNamespaceLabelInput.value.trim(),
+      maxRooms: readMaxRooms(newNamespaceMaxRoomsInput),
+      requireApiKey: newNamespaceRequireKeyInput.checked,
+    });
+    newNamespaceIdInput.value = '';
+    newNamespaceLabelInput.value = '';
+    newNamespaceMaxRoomsInput.value = '';
+    newNamespaceRequireKeyInput.checked = false;
+    await loadConfig();
+    setStatusKey('status.namespaceAdded', '');
+  } catch {
+    setStatusKey('status.addNamespaceFailed', 'error');
+  }
+});
+
+refreshInspectorButton.addEventListener('click', () => {
+  loadInspector().catch(() => {
+    setStatusKey('status.inspectorFailed', 'error');
+  });
+});
+
+refreshAuditButton.addEventListener('click', refreshAudit);
+
+auditFilters.addEventListener('submit', (event) => {
+  event.preventDefault();
+  refreshAudit();
+});
+
+loginForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  setLoginStatusKey('');
+  try {
+    await fetchJson('api/login', {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ action: 'add' }),
+      body: JSON.stringify({ token: loginTokenInput.value.trim() }),
     });
-    newKeyInput.value = '';
+    loginTokenInput.value = '';
     await loadConfig();
-    setStatusKey('status.keyGenerated', '');
+  } catch (error) {
+    setLoginStatusKey(error?.payload?.error === 'invalid-token' ? 'login.failed' : 'login.error');
+  }
+});
+
+logoutButton.addEventListener('click', async () => {
+  try {
+    await fetchJson('api/logout', { method: 'POST' });
   } catch {
-    setStatusKey('status.generateKeyFailed', 'error');
+    // session is dropped client-side regardless
   }
+  showLogin(true);
 });
 
 if (langSelect) {
@@ -319,6 +1066,7 @@ if (langSelect) {
 }
 
 applyTranslations();
-loadConfig().catch(() => {
+loadConfig().catch((error) => {
+  if (error?.payload?.error === 'unauthorized') return;
   setStatusKey('status.loadFailed', 'error');
 });
@@ -1,8 +1,14 @@
 ﻿import http from 'node:http';
+import https from 'node:https';
+import tls from 'node:tls';
 import crypto from 'node:crypto';
+import { unwatchFile, watchFile } from 'node:fs';
 import fs from 'node:fs/promises';
+import net from 'node:net';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
 
 import { WebSocketServer } from 'ws';
 
@@ -13,9 +19,84 @@ const DEFAULT_WS_PORT = 51982;
 const DEFAULT_ADMIN_PORT = 51983;
 const ROOM_ID_LENGTH = 16;
 const ROOM_ID_ATTEMPTS = 8;
+const ROOM_LIST_DEFAULT_LIMIT = 50;
+const ROOM_LIST_MAX_LIMIT = 200;
+const ROOM_MAX_MEMBERS_LIMIT = 1000;
+const ROOM_MAX_INVITES = 100;
+const INVITE_MAX_TTL_SECONDS = 30 * 24 * 60 * 60;
+const NAMESPACE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
 const HEARTBEAT_INTERVAL_MS = 25_000;
+const SHARE_SWEEP_INTERVAL_MS = 5_000;
+const CONFIG_SAVE_DELAY_MS = 1_000;
+const ROOM_STORE_VERSION = 1;
+const ROOM_STORE_SAVE_DELAY_MS = 1_000;
+const ROOM_STORE_MAX_TTL_SECONDS = 7 * 24 * 60 * 60;
+const ROOM_STORE_OP_SEQ_GAP = 100_000;
+const ADMIN_SESSION_COOKIE = 'collab_admin';
+const ADMIN_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const CLOSE_CODE_ADMIN_DISCONNECT = 4000;
+const CLOSE_CODE_GOING_AWAY = 1001;
+const CLOSE_CODE_TRY_AGAIN_LATER = 1013;
+const SHUTDOWN_CLOSE_WAIT_MS = 2000;
+const TLS_WATCH_INTERVAL_MS = 5000;
+const TLS_RELOAD_DELAY_MS = 1000;
+const CLOSE_CODE_POLICY_VIOLATION = 1008;
+const PAYLOAD_HARD_LIMIT_FACTOR = 2;
+const RATE_LIMIT_STRIKE_WINDOW_MS = 10_000;
+const CLOSE_CODE_PROTOCOL_MISMATCH = 4001;
+const CLOSE_CODE_CLIENT_OUTDATED = 4002;
+const APP_VERSION_POLICIES = ['none', 'exact', 'minor', 'range'];
+const AUDIT_LEVELS = ['debug', 'info', 'warn', 'error'];
+const AUDIT_BUFFER_SIZE = 2000;
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 1;
+const SERVER_CAPABILITIES = [
+  'host-resume',
+  'host-migration',
+  'member-roles',
+  'share-refresh',
+  'room-invites',
+  'join-queue',
+  'room-snapshots',
+  'sequenced-ops',
+];
+const MESSAGE_CAPABILITIES = {
+  'share:refresh': 'share-refresh',
+  'room:invite:create': 'room-invites',
+  'room:invite:list': 'room-invites',
+  'room:invite:revoke': 'room-invites',
+  'join:queue': 'join-queue',
+  'room:snapshot': 'room-snapshots',
+  'room:snapshot:get': 'room-snapshots',
+  'room:op': 'sequenced-ops',
+  'room:sync': 'sequenced-ops',
+  'room:resume': 'host-resume',
+  'room:transfer-host': 'host-migration',
+  'room:set-role': 'member-roles',
+  'room:kick': 'member-roles',
+  'room:ban': 'member-roles',
+};
+const ROOM_PASSWORD_KEY_LENGTH = 32;
+const JOIN_DENIAL_REASONS = [
+  'bad_password',
+  'banned',
+  'host',
+  'host_offline',
+  'invalid_invite',
+  'locked_out',
+  'not_found',
+  'room_closed',
+  'room_full',
+  'timeout',
+  'version_mismatch',
+];
+const TRUSTED_PROXY_ALIASES = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+};
 const CONFIG_PATH = process.env.COLLAB_CONFIG || path.join(__dirname, 'config.json');
 const PUBLIC_DIR = path.join(__dirname, 'public');
+const PACKAGE_PATH = path.join(__dirname, 'package.json');
 const wsPort =
   Number.parseInt(process.env.COLLAB_PORT ?? process.env.PORT ?? '', 10) || DEFAULT_WS_PORT;
 const adminPort =
@@ -24,20 +105,329 @@ const adminPort =
 const defaultConfig = {
   requireApiKey: false,
   apiKeys: [],
+  namespaces: [],
   maxRooms: 100,
+  adminToken: '',
+  metricsToken: '',
+  allowedOrigins: [],
+  hostReconnectGraceSeconds: 30,
+  passwordMaxAttempts: 5,
+  passwordLockoutSeconds: 300,
+  viewerPayloadTypes: ['cursor:update', 'sync:request'],
+  maxPayloadBytes: 4 * 1024 * 1024,
+  messagesPerSecond: 50,
+  messageBurst: 100,
+  rateLimitStrikes: 20,
+  maxConnectionsPerAddress: 0,
+  maxConnectionsPerNetwork: 0,
+  auditLogLevel: 'info',
+  auditLogFile: '',
+  auditLogMaxBytes: 10 * 1024 * 1024,
+  auditLogMaxFiles: 5,
+  shutdownTimeoutSeconds: 10,
+  singlePort: false,
+  wsPath: '/ws',
+  adminBasePath: '/admin',
+  tlsCert: '',
+  tlsKey: '',
+  tlsCa: '',
+  trustedProxies: [],
+  lanSubnetPrefixV4: 24,
+  lanSubnetPrefixV6: 64,
+  lanShareTtlSeconds: 90,
+  appVersionPolicy: 'none',
+  minClientVersion: '',
+  inviteTtlSeconds: 24 * 60 * 60,
+  joinRequestTimeoutSeconds: 120,
+  roomStoreFile: '',
+  roomStoreTtlSeconds: 24 * 60 * 60,
+  snapshotMaxBytes: 4 * 1024 * 1024,
+  snapshotCompression: true,
+  snapshotTotalMaxBytes: 256 * 1024 * 1024,
+  opBufferSize: 1000,
+  opBufferMaxBytes: 16 * 1024 * 1024,
+  opBufferTotalMaxBytes: 256 * 1024 * 1024,
+};
+
+const clampNumber = (value, min, max, fallback) =>
+  Number.isFinite(value) ? Math.max(min, Math.min(max, Number(value))) : fallback;
+
+const normalizeUrlPath = (value, fallback) => {
+  if (typeof value !== 'string') return fallback;
+  const trimmed = value.trim().replace(/\/+$/, '');
+  if (!trimmed) return '';
+  return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+};
+
+const parseSubnet = (value) => {
+  const [address, prefixText] = value.split('/');
+  const type = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : '';
+  if (!type) return null;
+  const maxPrefix = type === 'ipv4' ? 32 : 128;
+  if (prefixText !== undefined && !/^\d+$/.test(prefixText)) return null;
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+  if (prefix > maxPrefix) return null;
+  return { address, prefix, type };
+};
+
+const parseVersion = (value) => {
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(
+    String(value ?? '').trim(),
+  );
+  if (!match) return null;
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] ?? 0),
+    patch: Number(match[3] ?? 0),
+    prerelease: match[4] ?? '',
+    precision: [match[1], match[2], match[3]].filter((part) => part !== undefined).length,
+  };
+};
+
+const compareVersions = (a, b) => {
+  const release = a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+  if (release || a.prerelease === b.prerelease) return release;
+  if (!a.prerelease) return 1;
+  if (!b.prerelease) return -1;
+  return a.prerelease.localeCompare(b.prerelease, undefined, { numeric: true });
+};
+
+const bumpVersion = (version, precision) => ({
+  major: precision === 1 ? version.major + 1 : version.major,
+  minor: precision === 2 ? version.minor + 1 : precision === 1 ? 0 : version.minor,
+  patch: precision === 3 ? version.patch + 1 : 0,
+  prerelease: '',
+});
+
+const satisfiesComparator = (version, comparator) => {
+  const [, operator = '', text] = /^(\^|~|>=|<=|>|<|=)?(.*)$/.exec(comparator);
+  if (/^[*xX]$/.test(text)) return true;
+  const bound = parseVersion(text.replace(/\.[*xX](?=\.|$)/g, ''));
+  if (!bound) return false;
+  const order = compareVersions(version, bound);
+  switch (operator) {
+    case '>':
+      return order > 0;
+    case '>=':
+      return order >= 0;
+    case '<':
+      return order < 0;
+    case '<=':
+      return order <= 0;
+    case '^': {
+      const precision =
+        bound.major > 0 || bound.precision === 1 ? 1 : bound.minor > 0 || bound.precision === 2 ? 2 : 3;
+      return order >= 0 && compareVersions(version, bumpVersion(bound, precision)) < 0;
+    }
+    case '~':
+      return order >= 0 && compareVersions(version, bumpVersion(bound, Math.min(bound.precision, 2))) < 0;
+    default:
+      if (bound.precision === 3) return order === 0;
+      return order >= 0 && compareVersions(version, bumpVersion(bound, bound.precision)) < 0;
+  }
+};
+
+const satisfiesRange = (version, range) =>
+  range.split('||').some((set) =>
+    set
+      .trim()
+      .replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1')
+      .split(/\s+/)
+      .filter(Boolean)
+      .every((comparator) => satisfiesComparator(version, comparator)),
+  );
+
+const normalizeTimestamp = (value) => (Number.isFinite(value) && value > 0 ? Math.floor(value) : null);
+
+const normalizeApiKey = (value) => {
+  const record = typeof value === 'string' ? { key: value } : value;
+  const key = typeof record?.key === 'string' ? record.key.trim() : '';
+  if (!key) return null;
+  return {
+    key,
+    label: typeof record.label === 'string' ? record.label.trim().slice(0, 120) : '',
+    createdAt: normalizeTimestamp(record.createdAt),
+    expiresAt: normalizeTimestamp(record.expiresAt),
+    maxRooms: clampNumber(record.maxRooms, 0, 10_000, 0),
+    enabled: record.enabled !== false,
+    namespace: typeof record.namespace === 'string' ? record.namespace.trim().toLowerCase() : '',
+    lastUsedAt: normalizeTimestamp(record.lastUsedAt),
+    roomsCreated: clampNumber(record.roomsCreated, 0, Number.MAX_SAFE_INTEGER, 0),
+  };
+};
+
+const normalizeNamespace = (value) => {
+  const id = typeof value?.id === 'string' ? value.id.trim().toLowerCase() : '';
+  if (!NAMESPACE_ID_PATTERN.test(id)) return null;
+  return {
+    id,
+    label: typeof value.label === 'string' ? value.label.trim().slice(0, 120) : '',
+    maxRooms: clampNumber(value.maxRooms, 0, 10_000, 0),
+    requireApiKey: Boolean(value.requireApiKey),
+  };
 };
 
 const normalizeConfig = (raw) => {
   const apiKeys = Array.isArray(raw?.apiKeys)
-    ? Array.from(new Set(raw.apiKeys.map((value) => String(value).trim()).filter(Boolean)))
+    ? raw.apiKeys
+        .map(normalizeApiKey)
+        .filter(
+          (record, index, all) => record && all.findIndex((other) => other?.key === record.key) === index,
+        )
+    : [];
+  const namespaces = Array.isArray(raw?.namespaces)
+    ? raw.namespaces
+        .map(normalizeNamespace)
+        .filter((entry, index, all) => entry && all.findIndex((other) => other?.id === entry.id) === index)
+    : [];
+  const maxRooms = clampNumber(raw?.maxRooms, 0, 10_000, defaultConfig.maxRooms);
+  const adminToken = typeof raw?.adminToken === 'string' ? raw.adminToken.trim() : '';
+  const metricsToken = typeof raw?.metricsToken === 'string' ? raw.metricsToken.trim() : '';
+  const allowedOrigins = Array.isArray(raw?.allowedOrigins)
+    ? Array.from(
+        new Set(raw.allowedOrigins.map((value) => String(value).trim().replace(/\/+$/, '')).filter(Boolean)),
+      )
+    : [];
+  const viewerPayloadTypes = Array.isArray(raw?.viewerPayloadTypes)
+    ? Array.from(new Set(raw.viewerPayloadTypes.map((value) => String(value).trim()).filter(Boolean)))
+    : [...defaultConfig.viewerPayloadTypes];
+  const auditLogLevel = AUDIT_LEVELS.includes(raw?.auditLogLevel)
+    ? raw.auditLogLevel
+    : defaultConfig.auditLogLevel;
+  const auditLogFile = typeof raw?.auditLogFile === 'string' ? raw.auditLogFile.trim() : '';
+  const roomStoreFile = typeof raw?.roomStoreFile === 'string' ? raw.roomStoreFile.trim() : '';
+  const tlsCert = typeof raw?.tlsCert === 'string' ? raw.tlsCert.trim() : '';
+  const tlsKey = typeof raw?.tlsKey === 'string' ? raw.tlsKey.trim() : '';
+  const tlsCa = typeof raw?.tlsCa === 'string' ? raw.tlsCa.trim() : '';
+  const trustedProxies = Array.isArray(raw?.trustedProxies)
+    ? Array.from(
+        new Set(
+          raw.trustedProxies
+            .map((value) => String(value).trim())
+            .filter((value) => TRUSTED_PROXY_ALIASES[value] || parseSubnet(value)),
+        ),
+      )
     : [];
-  const maxRooms = Number.isFinite(raw?.maxRooms)
-    ? Math.max(0, Math.min(10_000, Number(raw.maxRooms)))
-    : defaultConfig.maxRooms;
   return {
     requireApiKey: Boolean(raw?.requireApiKey),
     apiKeys,
+    namespaces,
     maxRooms,
+    adminToken,
+    metricsToken,
+    allowedOrigins,
+    hostReconnectGraceSeconds: clampNumber(
+      raw?.hostReconnectGraceSeconds,
+      0,
+      3600,
+      defaultConfig.hostReconnectGraceSeconds,
+    ),
+    passwordMaxAttempts: clampNumber(raw?.passwordMaxAttempts, 0, 1000, defaultConfig.passwordMaxAttempts),
+    passwordLockoutSeconds: clampNumber(
+      raw?.passwordLockoutSeconds,
+      0,
+      86_400,
+      defaultConfig.passwordLockoutSeconds,
+    ),
+    viewerPayloadTypes,
+    maxPayloadBytes: clampNumber(
+      raw?.maxPayloadBytes,
+      1024,
+      256 * 1024 * 1024,
+      defaultConfig.maxPayloadBytes,
+    ),
+    messagesPerSecond: clampNumber(raw?.messagesPerSecond, 0, 100_000, defaultConfig.messagesPerSecond),
+    messageBurst: clampNumber(raw?.messageBurst, 1, 100_000, defaultConfig.messageBurst),
+    rateLimitStrikes: clampNumber(raw?.rateLimitStrikes, 0, 100_000, defaultConfig.rateLimitStrikes),
+    maxConnectionsPerAddress: clampNumber(
+      raw?.maxConnectionsPerAddress,
+      0,
+      100_000,
+      defaultConfig.maxConnectionsPerAddress,
+    ),
+    maxConnectionsPerNetwork: clampNumber(
+      raw?.maxConnectionsPerNetwork,
+      0,
+      100_000,
+      defaultConfig.maxConnectionsPerNetwork,
+    ),
+    auditLogLevel,
+    auditLogFile,
+    auditLogMaxBytes: clampNumber(
+      raw?.auditLogMaxBytes,
+      1024,
+      1024 * 1024 * 1024,
+      defaultConfig.auditLogMaxBytes,
+    ),
+    auditLogMaxFiles: clampNumber(raw?.auditLogMaxFiles, 0, 100, defaultConfig.auditLogMaxFiles),
+    shutdownTimeoutSeconds: clampNumber(
+      raw?.shutdownTimeoutSeconds,
+      0,
+      600,
+      defaultConfig.shutdownTimeoutSeconds,
+    ),
+    singlePort: Boolean(raw?.singlePort),
+    wsPath: normalizeUrlPath(raw?.wsPath, defaultConfig.wsPath) || '/',
+    adminBasePath: normalizeUrlPath(raw?.adminBasePath, defaultConfig.adminBasePath),
+    tlsCert,
+    tlsKey,
+    tlsCa,
+    trustedProxies,
+    lanSubnetPrefixV4: clampNumber(raw?.lanSubnetPrefixV4, 0, 32, defaultConfig.lanSubnetPrefixV4),
+    lanSubnetPrefixV6: clampNumber(raw?.lanSubnetPrefixV6, 0, 128, defaultConfig.lanSubnetPrefixV6),
+    lanShareTtlSeconds: clampNumber(raw?.lanShareTtlSeconds, 0, 86_400, defaultConfig.lanShareTtlSeconds),
+    appVersionPolicy: APP_VERSION_POLICIES.includes(raw?.appVersionPolicy)
+      ? raw.appVersionPolicy
+      : defaultConfig.appVersionPolicy,
+    minClientVersion: parseVersion(raw?.minClientVersion) ? String(raw.minClientVersion).trim() : '',
+    inviteTtlSeconds: clampNumber(
+      raw?.inviteTtlSeconds,
+      60,
+      INVITE_MAX_TTL_SECONDS,
+      defaultConfig.inviteTtlSeconds,
+    ),
+    joinRequestTimeoutSeconds: clampNumber(
+      raw?.joinRequestTimeoutSeconds,
+      10,
+      3600,
+      defaultConfig.joinRequestTimeoutSeconds,
+    ),
+    roomStoreFile,
+    roomStoreTtlSeconds: clampNumber(
+      raw?.roomStoreTtlSeconds,
+      60,
+      ROOM_STORE_MAX_TTL_SECONDS,
+      defaultConfig.roomStoreTtlSeconds,
+    ),
+    snapshotMaxBytes: clampNumber(
+      raw?.snapshotMaxBytes,
+      1024,
+      256 * 1024 * 1024,
+      defaultConfig.snapshotMaxBytes,
+    ),
+    snapshotCompression:
+      typeof raw?.snapshotCompression === 'boolean'
+        ? raw.snapshotCompression
+        : defaultConfig.snapshotCompression,
+    snapshotTotalMaxBytes: clampNumber(
+      raw?.snapshotTotalMaxBytes,
+      0,
+      64 * 1024 * 1024 * 1024,
+      defaultConfig.snapshotTotalMaxBytes,
+    ),
+    opBufferSize: clampNumber(raw?.opBufferSize, 1, 100_000, defaultConfig.opBufferSize),
+    opBufferMaxBytes: clampNumber(
+      raw?.opBufferMaxBytes,
+      1024,
+      1024 * 1024 * 1024,
+      defaultConfig.opBufferMaxBytes,
+    ),
+    opBufferTotalMaxBytes: clampNumber(
+      raw?.opBufferTotalMaxBytes,
+      0,
+      64 * 1024 * 1024 * 1024,
+      defaultConfig.opBufferTotalMaxBytes,
+    ),
   };
 };
 
@@ -53,20 +443,351 @@ const loadConfig = async () => {
 };
 
 let config = await loadConfig();
+let draining = false;
+let shuttingDown = false;
+let shutdownTimer = null;
+let closingSockets = false;
+let configSaveTimer = null;
+
+const serverVersion = await fs
+  .readFile(PACKAGE_PATH, 'utf8')
+  .then((raw) => String(JSON.parse(raw.replace(/^\uFEFF/, '')).version ?? ''))
+  .catch(() => '');
 
 const saveConfig = async (next) => {
+  clearTimeout(configSaveTimer);
+  configSaveTimer = null;
   config = normalizeConfig(next);
   await fs.writeFile(CONFIG_PATH, JSON.stringify(config, null, 2), 'utf8');
 };
 
+const scheduleConfigSave = () => {
+  if (configSaveTimer) return;
+  configSaveTimer = setTimeout(() => {
+    saveConfig(config).catch((error) => console.error('[collab] failed to save config', error));
+  }, CONFIG_SAVE_DELAY_MS);
+};
+
+const auditEntries = [];
+let auditWriteChain = Promise.resolve();
+let auditFileSize = null;
+
+const resolveConfigPath = (value) => path.resolve(path.dirname(CONFIG_PATH), value);
+
+const resolveAuditPath = () => resolveConfigPath(config.auditLogFile);
+
+const rotateAuditFile = async (filePath) => {
+  for (let index = config.auditLogMaxFiles - 1; index >= 1; index -= 1) {
+    await fs.rename(`${filePath}.${index}`, `${filePath}.${index + 1}`).catch(() => {});
+  }
+  if (config.auditLogMaxFiles > 0) {
+    await fs.rename(filePath, `${filePath}.1`);
+  } else {
+    await fs.rm(filePath, { force: true });
+  }
+  auditFileSize = 0;
+};
+
+const writeAuditLine = async (line) => {
+  const filePath = resolveAuditPath();
+  if (auditFileSize === null) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    auditFileSize = await fs
+      .stat(filePath)
+      .then((stats) => stats.size)
+      .catch(() => 0);
+  }
+  const bytes = Buffer.byteLength(line);
+  if (auditFileSize > 0 && auditFileSize + bytes > config.auditLogMaxBytes) {
+    await rotateAuditFile(filePath);
+  }
+  await fs.appendFile(filePath, line, 'utf8');
+  auditFileSize += bytes;
+};
+
+const audit = (level, event, details = {}) => {
+  if (AUDIT_LEVELS.indexOf(level) < AUDIT_LEVELS.indexOf(config.auditLogLevel)) return;
+  const entry = { ts: new Date().toISOString(), level, event, ...details };
+  auditEntries.push(entry);
+  if (auditEntries.length > AUDIT_BUFFER_SIZE) {
+    auditEntries.shift();
+  }
+  if (!config.auditLogFile) return;
+  const line = `${JSON.stringify(entry)}\n`;
+  auditWriteChain = auditWriteChain
+    .then(() => writeAuditLine(line))
+    .catch((error) => {
+      auditFileSize = null;
+      console.error(`[collab] failed to write audit log: ${error.message}`);
+    });
+};
+
+const queryAuditEntries = (params) => {
+  const level = params.get('level') ?? '';
+  const minLevel = AUDIT_LEVELS.includes(level) ? AUDIT_LEVELS.indexOf(level) : 0;
+  const event = params.get('event') ?? '';
+  const clientId = params.get('clientId') ?? '';
+  const roomId = params.get('roomId') ?? '';
+  const since = Date.parse(params.get('since') ?? '');
+  const limit = clampNumber(Number(params.get('limit') ?? 200), 1, AUDIT_BUFFER_SIZE, 200);
+  const results = [];
+  for (let index = auditEntries.length - 1; index >= 0 && results.length < limit; index -= 1) {
+    const entry = auditEntries[index];
+    if (AUDIT_LEVELS.indexOf(entry.level) < minLevel) continue;
+    if (event && !entry.event.startsWith(event)) continue;
+    if (clientId && entry.clientId !== clientId) continue;
+    if (roomId && entry.roomId !== roomId) continue;
+    if (Number.isFinite(since) && Date.parse(entry.ts) < since) continue;
+    results.push(entry);
+  }
+  return results;
+};
+
+const maskKey = (key) => (key.length > 8 ? `${key.slice(0, 4)}…${key.slice(-4)}` : '****');
+
+const findApiKey = (key) => config.apiKeys.find((record) => record.key === key) ?? null;
+
+const isApiKeyExpired = (record, now = Date.now()) => Boolean(record.expiresAt && record.expiresAt <= now);
+
+const countRoomsForKey = (key) => {
+  let count = 0;
+  publicRooms.forEach((room) => {
+    if (room.apiKey === key) count += 1;
+  });
+  return count;
+};
+
+const isApiKeyUsable = (record) => Boolean(record?.enabled && !isApiKeyExpired(record));
+
+const apiKeyDenialReason = (record) => {
+  if (!record) return 'api_key_required';
+  if (!record.enabled) return 'api_key_disabled';
+  if (isApiKeyExpired(record)) return 'api_key_expired';
+  if (record.maxRooms > 0 && countRoomsForKey(record.key) >= record.maxRooms) return 'api_key_quota';
+  return null;
+};
+
+const API_KEY_DENIAL_MESSAGES = {
+  api_key_required: 'API key required',
+  api_key_disabled: 'API key is disabled',
+  api_key_expired: 'API key has expired',
+  api_key_quota: 'API key room quota reached',
+};
+
+const closeRoomsForKey = (key, reason) => {
+  const roomIds = Array.from(publicRooms.entries())
+    .filter(([, room]) => room.apiKey === key)
+    .map(([roomId]) => roomId);
+  roomIds.forEach((roomId) => removePublicRoom(roomId, reason));
+  return roomIds.length;
+};
+
+const parseKeyExpiry = (value) => {
+  if (value === null || value === '' || value === 0) return null;
+  const timestamp = typeof value === 'string' ? Date.parse(value) : value;
+  return Number.isFinite(timestamp) && timestamp > 0 ? Math.floor(timestamp) : undefined;
+};
+
+const applyKeyFields = (record, body) => {
+  const next = { ...record };
+  if (body.label !== undefined) {
+    if (typeof body.label !== 'string') return null;
+    next.label = body.label.trim();
+  }
+  if (body.expiresAt !== undefined) {
+    const expiresAt = parseKeyExpiry(body.expiresAt);
+    if (expiresAt === undefined) return null;
+    next.expiresAt = expiresAt;
+  }
+  if (body.maxRooms !== undefined) {
+    if (!Number.isInteger(body.maxRooms) || body.maxRooms < 0) return null;
+    next.maxRooms = body.maxRooms;
+  }
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') return null;
+    next.enabled = body.enabled;
+  }
+  if (body.namespace !== undefined) {
+    if (typeof body.namespace !== 'string') return null;
+    const namespace = body.namespace.trim().toLowerCase();
+    if (namespace && !findNamespace(namespace)) return null;
+    next.namespace = namespace;
+  }
+  return next;
+};
+
+const findNamespace = (id) => config.namespaces.find((entry) => entry.id === id) ?? null;
+
+const countRoomsInNamespace = (namespace) => {
+  let count = 0;
+  publicRooms.forEach((room) => {
+    if (room.namespace === namespace) count += 1;
+  });
+  return count;
+};
+
+const applyNamespaceFields = (entry, body) => {
+  const next = { ...entry };
+  if (body.label !== undefined) {
+    if (typeof body.label !== 'string') return null;
+    next.label = body.label.trim();
+  }
+  if (body.maxRooms !== undefined) {
+    if (!Number.isInteger(body.maxRooms) || body.maxRooms < 0) return null;
+    next.maxRooms = body.maxRooms;
+  }
+  if (body.requireApiKey !== undefined) {
+    if (typeof body.requireApiKey !== 'boolean') return null;
+    next.requireApiKey = body.requireApiKey;
+  }
+  return next;
+};
+
+const describeNamespace = (entry) => ({
+  ...entry,
+  activeRooms: countRoomsInNamespace(entry.id),
+  keyCount: config.apiKeys.filter((record) => record.namespace === entry.id).length,
+});
+
+const closeRoomsInNamespace = (namespace, reason) => {
+  const roomIds = Array.from(publicRooms.entries())
+    .filter(([, room]) => room.namespace === namespace)
+    .map(([roomId]) => roomId);
+  roomIds.forEach((roomId) => removePublicRoom(roomId, reason));
+  return roomIds.length;
+};
+
+const describeApiKey = (record) => ({
+  ...record,
+  expired: isApiKeyExpired(record),
+  activeRooms: countRoomsForKey(record.key),
+});
+
+const resolveAdminToken = () => process.env.COLLAB_ADMIN_TOKEN?.trim() || config.adminToken;
+
+if (!resolveAdminToken()) {
+  const generated = crypto.randomBytes(24).toString('hex');
+  await saveConfig({ ...config, adminToken: generated });
+  console.log(`[collab] generated admin token: ${generated}`);
+}
+
+const adminSessions = new Map();
+
+const hashToken = (value) => crypto.createHash('sha256').update(String(value)).digest();
+
+const tokensMatch = (provided, expected) => {
+  if (!provided || !expected) return false;
+  return crypto.timingSafeEqual(hashToken(provided), hashToken(expected));
+};
+
+const parseCookies = (header) => {
+  const cookies = {};
+  if (!header) return cookies;
+  header.split(';').forEach((part) => {
+    const index = part.indexOf('=');
+    if (index <= 0) return;
+    const name = part.slice(0, index).trim();
+    const value = part.slice(index + 1).trim();
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  });
+  return cookies;
+};
+
+const createAdminSession = () => {
+  const sessionId = crypto.randomBytes(32).toString('hex');
+  adminSessions.set(sessionId, Date.now() + ADMIN_SESSION_TTL_MS);
+  return sessionId;
+};
+
+const pruneAdminSessions = () => {
+  const now = Date.now();
+  adminSessions.forEach((expiresAt, sessionId) => {
+    if (expiresAt <= now) {
+      adminSessions.delete(sessionId);
+    }
+  });
+};
+
+const sessionIdFromRequest = (req) => parseCookies(req.headers.cookie)[ADMIN_SESSION_COOKIE] ?? '';
+
+const isAdminAuthorized = (req) => {
+  const header = req.headers.authorization ?? '';
+  if (header.startsWith('Bearer ')) {
+    return tokensMatch(header.slice('Bearer '.length).trim(), resolveAdminToken());
+  }
+  const sessionId = sessionIdFromRequest(req);
+  if (!sessionId) return false;
+  const expiresAt = adminSessions.get(sessionId);
+  if (!expiresAt) return false;
+  if (expiresAt <= Date.now()) {
+    adminSessions.delete(sessionId);
+    return false;
+  }
+  return true;
+};
+
+const sessionCookie = (sessionId, maxAgeSeconds) => {
+  const attributes = ['Path=/', 'HttpOnly', 'SameSite=Strict', `Max-Age=${maxAgeSeconds}`];
+  if (tlsEnabled) {
+    attributes.push('Secure');
+  }
+  return `${ADMIN_SESSION_COOKIE}=${sessionId}; ${attributes.join('; ')}`;
+};
+
+const isOriginAllowed = (req) => {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  if (config.allowedOrigins.includes(origin)) return true;
+  try {
+    return new URL(origin).host === req.headers.host;
+  } catch {
+    return false;
+  }
+};
+
+const applyCorsHeaders = (req, res) => {
+  const origin = req.headers.origin;
+  if (!origin || !config.allowedOrigins.includes(origin)) return;
+  res.setHeader('Access-Control-Allow-Origin', origin);
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Vary', 'Origin');
+};
+
 const jsonResponse = (res, status, payload) => {
   res.writeHead(status, {
     'Content-Type': 'application/json; charset=utf-8',
-    'Access-Control-Allow-Origin': '*',
   });
   res.end(JSON.stringify(payload));
 };
 
+const isMetricsAuthorized = (req) => {
+  const header = req.headers.authorization ?? '';
+  if (config.metricsToken && header.startsWith('Bearer ')) {
+    if (tokensMatch(header.slice('Bearer '.length).trim(), config.metricsToken)) return true;
+  }
+  return isAdminAuthorized(req);
+};
+
+const configPayload = () => {
+  const { adminToken, metricsToken, ...rest } = config;
+  return {
+    ...rest,
+    apiKeys: config.apiKeys.map(describeApiKey),
+    namespaces: config.namespaces.map(describeNamespace),
+    roomCount: publicRooms.size,
+    draining,
+  };
+};
+
+const readinessStatus = () => {
+  if (shuttingDown) return 'shutting-down';
+  return draining ? 'draining' : 'ready';
+};
+
 const readJsonBody = async (req) => {
   const chunks = [];
   for await (const chunk of req) {
@@ -116,23 +837,72 @@ const serveStatic = async (req, res) => {
   }
 };
 
-const adminServer = http.createServer(async (req, res) => {
+const handleAdminRequest = async (req, res) => {
   const requestUrl = new URL(req.url ?? '/', `http://${req.headers.host ?? 'localhost'}`);
+  if (requestUrl.pathname === '/healthz' && req.method === 'GET') {
+    jsonResponse(res, 200, { status: 'ok', uptimeSeconds: Math.floor(process.uptime()) });
+    return;
+  }
+  if (requestUrl.pathname === '/readyz' && req.method === 'GET') {
+    const status = readinessStatus();
+    jsonResponse(res, status === 'ready' ? 200 : 503, { status });
+    return;
+  }
+  if (requestUrl.pathname === '/metrics' && req.method === 'GET') {
+    if (!isMetricsAuthorized(req)) {
+      res.writeHead(401, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end('Unauthorized');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(renderMetrics());
+    return;
+  }
   if (requestUrl.pathname.startsWith('/api/')) {
+    applyCorsHeaders(req, res);
     if (req.method === 'OPTIONS') {
       res.writeHead(204, {
-        'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET,POST,OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
       });
       res.end();
       return;
     }
+    if (!isOriginAllowed(req)) {
+      jsonResponse(res, 403, { error: 'origin-not-allowed' });
+      return;
+    }
+    if (req.method === 'POST' && requestUrl.pathname === '/api/login') {
+      const body = await readJsonBody(req);
+      const token = typeof body?.token === 'string' ? body.token.trim() : '';
+      if (!tokensMatch(token, resolveAdminToken())) {
+        audit('warn', 'admin:login-failed', { address: resolveClientAddress(req) });
+        jsonResponse(res, 401, { error: 'invalid-token' });
+        return;
+      }
+      audit('info', 'admin:login', { address: resolveClientAddress(req) });
+      pruneAdminSessions();
+      const sessionId = createAdminSession();
+      res.setHeader('Set-Cookie', sessionCookie(sessionId, Math.floor(ADMIN_SESSION_TTL_MS / 1000)));
+      jsonResponse(res, 200, { authenticated: true });
+      return;
+    }
+    if (req.method === 'POST' && requestUrl.pathname === '/api/logout') {
+      adminSessions.delete(sessionIdFromRequest(req));
+      res.setHeader('Set-Cookie', sessionCookie('', 0));
+      jsonResponse(res, 200, { authenticated: false });
+      return;
+    }
+    if (!isAdminAuthorized(req)) {
+      jsonResponse(res, 401, { error: 'unauthorized' });
+      return;
+    }
+    if (req.method === 'GET' && requestUrl.pathname === '/api/session') {
+      jsonResponse(res, 200, { authenticated: true });
+      return;
+    }
     if (req.method === 'GET' && requestUrl.pathname === '/api/config') {
-      jsonResponse(res, 200, {
-        ...config,
-        roomCount: publicRooms.size,
-      });
+      jsonResponse(res, 200, configPayload());
       return;
     }
     if (req.method === 'POST' && requestUrl.pathname === '/api/config') {
@@ -141,15 +911,19 @@ const adminServer = http.createServer(async (req, res) => {
         jsonResponse(res, 400, { error: 'invalid-json' });
         return;
       }
+      const previous = { requireApiKey: config.requireApiKey, maxRooms: config.maxRooms };
       await saveConfig({
         ...config,
         requireApiKey: Boolean(body.requireApiKey),
         maxRooms: Number.isFinite(body.maxRooms) ? Number(body.maxRooms) : config.maxRooms,
       });
-      jsonResponse(res, 200, {
-        ...config,
-        roomCount: publicRooms.size,
-      });
+      const changes = Object.keys(previous)
+        .filter((key) => previous[key] !== config[key])
+        .map((key) => ({ field: key, from: previous[key], to: config[key] }));
+      if (changes.length) {
+        audit('info', 'config:update', { changes });
+      }
+      jsonResponse(res, 200, configPayload());
       return;
     }
     if (req.method === 'POST' && requestUrl.pathname === '/api/keys') {
@@ -159,26 +933,192 @@ const adminServer = http.createServer(async (req, res) => {
         return;
       }
       const action = body.action;
-      const current = new Set(config.apiKeys);
+      if (!['add', 'update', 'disable', 'remove'].includes(action)) {
+        jsonResponse(res, 400, { error: 'unsupported-action' });
+        return;
+      }
+      const target = typeof body.key === 'string' ? body.key.trim() : '';
       if (action === 'add') {
-        const provided = typeof body.key === 'string' ? body.key.trim() : '';
-        const nextKey = provided || crypto.randomBytes(16).toString('hex');
-        current.add(nextKey);
-      } else if (action === 'remove') {
-        const target = typeof body.key === 'string' ? body.key.trim() : '';
-        current.delete(target);
+        const nextKey = target || crypto.randomBytes(16).toString('hex');
+        if (findApiKey(nextKey)) {
+          jsonResponse(res, 409, { error: 'key-exists' });
+          return;
+        }
+        const record = applyKeyFields(normalizeApiKey({ key: nextKey, createdAt: Date.now() }), body);
+        if (!record) {
+          jsonResponse(res, 400, { error: 'invalid-request' });
+          return;
+        }
+        await saveConfig({ ...config, apiKeys: [...config.apiKeys, record] });
+        audit('info', 'key:add', { key: maskKey(nextKey), label: record.label });
+        jsonResponse(res, 200, configPayload());
+        return;
+      }
+      const existing = findApiKey(target);
+      if (!existing) {
+        jsonResponse(res, 404, { error: 'key-not-found' });
+        return;
+      }
+      let closedRooms = 0;
+      if (action === 'remove') {
+        await saveConfig({ ...config, apiKeys: config.apiKeys.filter((record) => record.key !== target) });
+        if (body.closeRooms === true) {
+          closedRooms = closeRoomsForKey(target, 'api_key_revoked');
+        }
+        audit('info', 'key:remove', { key: maskKey(target), label: existing.label, closedRooms });
       } else {
+        const record = applyKeyFields(existing, action === 'disable' ? { enabled: false } : body);
+        if (!record) {
+          jsonResponse(res, 400, { error: 'invalid-request' });
+          return;
+        }
+        await saveConfig({
+          ...config,
+          apiKeys: config.apiKeys.map((entry) => (entry.key === target ? record : entry)),
+        });
+        if (action === 'disable' && body.closeRooms === true) {
+          closedRooms = closeRoomsForKey(target, 'api_key_revoked');
+        }
+        audit('info', `key:${action}`, { key: maskKey(target), label: record.label, closedRooms });
+      }
+      jsonResponse(res, 200, configPayload());
+      return;
+    }
+    if (req.method === 'POST' && requestUrl.pathname === '/api/namespaces') {
+      const body = await readJsonBody(req);
+      if (!body || typeof body.action !== 'string') {
+        jsonResponse(res, 400, { error: 'invalid-request' });
+        return;
+      }
+      const action = body.action;
+      if (!['add', 'update', 'remove'].includes(action)) {
         jsonResponse(res, 400, { error: 'unsupported-action' });
         return;
       }
+      const id = typeof body.id === 'string' ? body.id.trim().toLowerCase() : '';
+      const existing = findNamespace(id);
+      if (action === 'add') {
+        if (existing) {
+          jsonResponse(res, 409, { error: 'namespace-exists' });
+          return;
+        }
+        const base = normalizeNamespace({ id });
+        const entry = base && applyNamespaceFields(base, body);
+        if (!entry) {
+          jsonResponse(res, 400, { error: 'invalid-request' });
+          return;
+        }
+        await saveConfig({ ...config, namespaces: [...config.namespaces, entry] });
+        audit('info', 'namespace:add', { namespace: id });
+        jsonResponse(res, 200, configPayload());
+        return;
+      }
+      if (!existing) {
+        jsonResponse(res, 404, { error: 'namespace-not-found' });
+        return;
+      }
+      if (action === 'remove') {
+        if (config.apiKeys.some((record) => record.namespace === id)) {
+          jsonResponse(res, 409, { error: 'namespace-in-use' });
+          return;
+        }
+        await saveConfig({ ...config, namespaces: config.namespaces.filter((entry) => entry.id !== id) });
+        const closedRooms = body.closeRooms === true ? closeRoomsInNamespace(id, 'namespace_removed') : 0;
+        audit('info', 'namespace:remove', { namespace: id, closedRooms });
+        jsonResponse(res, 200, configPayload());
+        return;
+      }
+      const entry = applyNamespaceFields(existing, body);
+      if (!entry) {
+        jsonResponse(res, 400, { error: 'invalid-request' });
+        return;
+      }
       await saveConfig({
         ...config,
-        apiKeys: Array.from(current.values()),
-      });
-      jsonResponse(res, 200, {
-        ...config,
-        roomCount: publicRooms.size,
+        namespaces: config.namespaces.map((current) => (current.id === id ? entry : current)),
       });
+      audit('info', 'namespace:update', { namespace: id });
+      jsonResponse(res, 200, configPayload());
+      return;
+    }
+    if (req.method === 'POST' && requestUrl.pathname === '/api/server') {
+      const body = await readJsonBody(req);
+      if (!body || typeof body.action !== 'string') {
+        jsonResponse(res, 400, { error: 'invalid-request' });
+        return;
+      }
+      if (body.action !== 'drain' && body.action !== 'resume') {
+        jsonResponse(res, 400, { error: 'unsupported-action' });
+        return;
+      }
+      if (shuttingDown) {
+        jsonResponse(res, 409, { error: 'shutting-down' });
+        return;
+      }
+      setDraining(body.action === 'drain', 'admin');
+      jsonResponse(res, 200, configPayload());
+      return;
+    }
+    if (req.method === 'GET' && requestUrl.pathname === '/api/audit') {
+      jsonResponse(res, 200, { entries: queryAuditEntries(requestUrl.searchParams) });
+      return;
+    }
+    if (req.method === 'GET' && requestUrl.pathname === '/api/rooms') {
+      jsonResponse(res, 200, { rooms: listAllRooms() });
+      return;
+    }
+    if (req.method === 'POST' && requestUrl.pathname === '/api/rooms') {
+      const body = await readJsonBody(req);
+      if (!body || typeof body.action !== 'string') {
+        jsonResponse(res, 400, { error: 'invalid-request' });
+        return;
+      }
+      if (body.action !== 'close') {
+        jsonResponse(res, 400, { error: 'unsupported-action' });
+        return;
+      }
+      const roomId = typeof body.roomId === 'string' ? body.roomId : '';
+      if (body.kind === 'lan') {
+        const networkKey = typeof body.networkKey === 'string' ? body.networkKey : '';
+        if (!findLanRoom(roomId, networkKey)) {
+          jsonResponse(res, 404, { error: 'room-not-found' });
+          return;
+        }
+        removeLanRoom(roomId, networkKey, 'admin');
+      } else {
+        if (!publicRooms.has(roomId)) {
+          jsonResponse(res, 404, { error: 'room-not-found' });
+          return;
+        }
+        removePublicRoom(roomId, 'admin');
+      }
+      jsonResponse(res, 200, { rooms: listAllRooms() });
+      return;
+    }
+    if (req.method === 'GET' && requestUrl.pathname === '/api/clients') {
+      jsonResponse(res, 200, { clients: listAllClients() });
+      return;
+    }
+    if (req.method === 'POST' && requestUrl.pathname === '/api/clients') {
+      const body = await readJsonBody(req);
+      if (!body || typeof body.action !== 'string') {
+        jsonResponse(res, 400, { error: 'invalid-request' });
+        return;
+      }
+      if (body.action !== 'disconnect') {
+        jsonResponse(res, 400, { error: 'unsupported-action' });
+        return;
+      }
+      const clientId = typeof body.clientId === 'string' ? body.clientId : '';
+      const socket = clientsById.get(clientId);
+      if (!socket) {
+        jsonResponse(res, 404, { error: 'client-not-found' });
+        return;
+      }
+      audit('info', 'admin:disconnect', { clientId });
+      sendWsError(socket, 'disconnected_by_admin', 'Disconnected by administrator');
+      socket.close(CLOSE_CODE_ADMIN_DISCONNECT, 'disconnected_by_admin');
+      jsonResponse(res, 200, { clients: listAllClients() });
       return;
     }
     jsonResponse(res, 404, { error: 'not-found' });
@@ -192,14 +1132,219 @@ const adminServer = http.createServer(async (req, res) => {
 
   res.writeHead(405);
   res.end('Method not allowed');
+};
+
+const handleSinglePortRequest = async (req, res) => {
+  const requestUrl = new URL(req.url ?? '/', `http://${req.headers.host ?? 'localhost'}`);
+  const basePath = config.adminBasePath;
+  if (requestUrl.pathname === '/healthz' || requestUrl.pathname === '/readyz') {
+    await handleAdminRequest(req, res);
+    return;
+  }
+  if (basePath && requestUrl.pathname === basePath) {
+    res.writeHead(301, { Location: `${basePath}/${requestUrl.search}` });
+    res.end();
+    return;
+  }
+  if (!basePath || requestUrl.pathname.startsWith(`${basePath}/`)) {
+    req.url = (req.url ?? '/').slice(basePath.length);
+    await handleAdminRequest(req, res);
+    return;
+  }
+  res.writeHead(404);
+  res.end('Not found');
+};
+
+const tlsFiles = () =>
+  Object.entries({ cert: config.tlsCert, key: config.tlsKey, ca: config.tlsCa }).filter(([, file]) => file);
+
+const loadTlsOptions = async () => {
+  const options = {};
+  for (const [name, file] of tlsFiles()) {
+    try {
+      options[name] = await fs.readFile(resolveConfigPath(file));
+    } catch (error) {
+      throw new Error(`cannot read TLS ${name} file ${resolveConfigPath(file)}: ${error.message}`);
+    }
+  }
+  try {
+    tls.createSecureContext(options);
+  } catch (error) {
+    throw new Error(`invalid TLS certificate or key: ${error.message}`);
+  }
+  return options;
+};
+
+const tlsEnabled = Boolean(config.tlsCert || config.tlsKey);
+if (tlsEnabled && !(config.tlsCert && config.tlsKey)) {
+  console.error('[collab] tlsCert and tlsKey must both be set to enable TLS');
+  process.exit(1);
+}
+const tlsOptions = tlsEnabled
+  ? await loadTlsOptions().catch((error) => {
+      console.error(`[collab] ${error.message}`);
+      process.exit(1);
+    })
+  : null;
+
+const createServer = (handler) =>
+  tlsEnabled ? https.createServer(tlsOptions, handler) : http.createServer(handler);
+
+const singlePort = config.singlePort;
+const adminServer = createServer(handleAdminRequest);
+const wsServer = createServer(singlePort ? handleSinglePortRequest : undefined);
+let tlsReloadTimer = null;
+
+const reloadTls = async () => {
+  try {
+    const options = await loadTlsOptions();
+    wsServer.setSecureContext(options);
+    adminServer.setSecureContext(options);
+    console.log('[collab] TLS certificate reloaded');
+    audit('info', 'tls:reload');
+  } catch (error) {
+    console.error(`[collab] TLS reload failed, keeping the current certificate: ${error.message}`);
+    audit('error', 'tls:reload-failed', { message: error.message });
+  }
+};
+
+if (tlsEnabled) {
+  tlsFiles().forEach(([, file]) => {
+    watchFile(resolveConfigPath(file), { interval: TLS_WATCH_INTERVAL_MS }, () => {
+      clearTimeout(tlsReloadTimer);
+      tlsReloadTimer = setTimeout(() => void reloadTls(), TLS_RELOAD_DELAY_MS);
+    });
+  });
+}
+const wss = new WebSocketServer({
+  server: wsServer,
+  path: singlePort ? config.wsPath : undefined,
+  maxPayload: config.maxPayloadBytes * PAYLOAD_HARD_LIMIT_FACTOR,
 });
 
-const wsServer = http.createServer();
-const wss = new WebSocketServer({ server: wsServer });
+const metrics = {
+  connections: 0,
+  heartbeatTerminations: 0,
+  messagesReceived: new Map(),
+  bytesReceived: new Map(),
+  messagesSent: new Map(),
+  bytesSent: new Map(),
+  roomErrors: new Map(),
+  joinDenied: new Map(),
+  wsErrors: new Map(),
+};
+
+const incrementMetric = (map, key, amount = 1) => {
+  map.set(key, (map.get(key) ?? 0) + amount);
+};
+
+const recordSentMetrics = (message, bytes) => {
+  const type = String(message.type);
+  incrementMetric(metrics.messagesSent, type);
+  incrementMetric(metrics.bytesSent, type, bytes);
+  if (type === 'room:error') {
+    incrementMetric(metrics.roomErrors, String(message.reason ?? ''));
+  } else if (type === 'join:denied') {
+    incrementMetric(metrics.joinDenied, String(message.reason ?? ''));
+  } else if (type === 'ws:error') {
+    incrementMetric(metrics.wsErrors, String(message.reason ?? ''));
+  }
+};
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const renderMetrics = () => {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    samples.forEach(([labels, value]) => {
+      lines.push(`${name}${formatLabels(labels)} ${value}`);
+    });
+  };
+  const fromMap = (label, map) => Array.from(map.entries(), ([key, value]) => [{ [label]: key }, value]);
+  const lanRoomSamples = Array.from(lanRoomsByNetwork.entries(), ([networkKey, map]) => [
+    { network: networkKey },
+    map.size,
+  ]);
+  const memberSamples = listAllRooms().map((room) => [
+    { kind: room.kind, room: room.roomId },
+    room.members.length,
+  ]);
+  metric('collab_open_sockets', 'gauge', 'Open WebSocket connections.', [[{}, wss.clients.size]]);
+  metric('collab_clients', 'gauge', 'Clients that completed hello.', [[{}, clients.size]]);
+  metric('collab_public_rooms', 'gauge', 'Public rooms.', [[{}, publicRooms.size]]);
+  metric('collab_lan_rooms', 'gauge', 'LAN rooms per network.', lanRoomSamples);
+  metric('collab_room_members', 'gauge', 'Members per room, excluding the host.', memberSamples);
+  metric('collab_snapshot_bytes', 'gauge', 'Bytes held by cached room snapshots.', [
+    [{}, snapshotBytesInUse()],
+  ]);
+  metric('collab_draining', 'gauge', 'Whether the server refuses new rooms and clients.', [
+    [{}, draining ? 1 : 0],
+  ]);
+  metric('collab_connections_total', 'counter', 'Accepted WebSocket connections.', [
+    [{}, metrics.connections],
+  ]);
+  metric(
+    'collab_messages_received_total',
+    'counter',
+    'Valid messages received by type.',
+    fromMap('type', metrics.messagesReceived),
+  );
+  metric(
+    'collab_message_bytes_received_total',
+    'counter',
+    'Bytes received by message type.',
+    fromMap('type', metrics.bytesReceived),
+  );
+  metric(
+    'collab_messages_sent_total',
+    'counter',
+    'Messages sent by type.',
+    fromMap('type', metrics.messagesSent),
+  );
+  metric(
+    'collab_message_bytes_sent_total',
+    'counter',
+    'Bytes sent by message type.',
+    fromMap('type', metrics.bytesSent),
+  );
+  metric(
+    'collab_room_errors_total',
+    'counter',
+    'room:error replies by reason.',
+    fromMap('reason', metrics.roomErrors),
+  );
+  metric(
+    'collab_join_denied_total',
+    'counter',
+    'join:denied replies by reason.',
+    fromMap('reason', metrics.joinDenied),
+  );
+  metric(
+    'collab_ws_errors_total',
+    'counter',
+    'ws:error replies by reason.',
+    fromMap('reason', metrics.wsErrors),
+  );
+  metric('collab_heartbeat_terminations_total', 'counter', 'Sockets terminated by the heartbeat.', [
+    [{}, metrics.heartbeatTerminations],
+  ]);
+  return `${lines.join('\n')}\n`;
+};
 
 const heartbeat = setInterval(() => {
   wss.clients.forEach((socket) => {
     if (!socket.isAlive) {
+      metrics.heartbeatTerminations += 1;
+      socket.closeReason = 'heartbeat_timeout';
       socket.terminate();
       return;
     }
@@ -214,6 +1359,7 @@ const heartbeat = setInterval(() => {
 const clients = new Map();
 const clientsById = new Map();
 const networkSockets = new Map();
+const addressConnections = new Map();
 const lanRoomsByNetwork = new Map();
 const publicRooms = new Map();
 
@@ -225,23 +1371,104 @@ const normalizeAddress = (address) => {
   return address;
 };
 
+let trustedProxyList = { source: null, list: null };
+
+const isTrustedProxy = (address) => {
+  if (!config.trustedProxies.length || !net.isIP(address)) return false;
+  if (trustedProxyList.source !== config.trustedProxies) {
+    const list = new net.BlockList();
+    config.trustedProxies
+      .flatMap((entry) => TRUSTED_PROXY_ALIASES[entry] ?? [entry])
+      .map(parseSubnet)
+      .forEach(({ address: subnet, prefix, type }) => list.addSubnet(subnet, prefix, type));
+    trustedProxyList = { source: config.trustedProxies, list };
+  }
+  return trustedProxyList.list.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const resolveClientAddress = (request) => {
+  const peer = normalizeAddress(request.socket.remoteAddress ?? '');
+  if (!isTrustedProxy(peer)) return peer;
+  const chain = String(request.headers['x-forwarded-for'] ?? '')
+    .split(',')
+    .map((value) => normalizeAddress(value.trim()))
+    .filter((value) => net.isIP(value))
+    .reverse();
+  if (chain.length) {
+    return chain.find((value) => !isTrustedProxy(value)) ?? chain[chain.length - 1];
+  }
+  const forwarded = normalizeAddress(
+    String(request.headers['x-real-ip'] ?? request.headers['cf-connecting-ip'] ?? '').trim(),
+  );
+  return net.isIP(forwarded) ? forwarded : peer;
+};
+
+const expandIpv6 = (address) => {
+  const [head, tail] = address.split('%')[0].split('::');
+  const toGroups = (part) =>
+    part
+      ? part.split(':').flatMap((group) => {
+          if (!group.includes('.')) return [Number.parseInt(group, 16)];
+          const [a, b, c, d] = group.split('.').map(Number);
+          return [(a << 8) | b, (c << 8) | d];
+        })
+      : [];
+  const headGroups = toGroups(head);
+  const tailGroups = toGroups(tail);
+  const padding = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+  return [...headGroups, ...new Array(padding).fill(0), ...tailGroups];
+};
+
+const maskUnits = (units, bitsPerUnit, prefix) =>
+  units.map((value, index) => {
+    const dropped = bitsPerUnit - Math.max(0, Math.min(bitsPerUnit, prefix - index * bitsPerUnit));
+    return (value >> dropped) << dropped;
+  });
+
 const networkKeyFromAddress = (address) => {
   if (!address) return 'unknown';
   const normalized = normalizeAddress(address);
-  if (normalized.includes(':')) {
-    const parts = normalized.split(':').filter(Boolean);
-    return parts.slice(0, 4).join(':') || normalized;
+  if (net.isIPv4(normalized)) {
+    const units = maskUnits(normalized.split('.').map(Number), 8, config.lanSubnetPrefixV4);
+    return `${units.join('.')}/${config.lanSubnetPrefixV4}`;
   }
-  const segments = normalized.split('.');
-  if (segments.length === 4) {
-    return `${segments[0]}.${segments[1]}.${segments[2]}`;
+  if (net.isIPv6(normalized)) {
+    const units = maskUnits(expandIpv6(normalized), 16, config.lanSubnetPrefixV6);
+    return `${units.map((unit) => unit.toString(16)).join(':')}/${config.lanSubnetPrefixV6}`;
   }
   return normalized;
 };
 
+const networkKeyFromGroupCode = (code) =>
+  `group:${crypto.createHash('sha256').update(code).digest('hex').slice(0, 16)}`;
+
+const addNetworkSocket = (networkKey, socket) => {
+  const sockets = networkSockets.get(networkKey) ?? new Set();
+  sockets.add(socket);
+  networkSockets.set(networkKey, sockets);
+};
+
+const removeNetworkSocket = (networkKey, socket) => {
+  const sockets = networkSockets.get(networkKey);
+  if (!sockets) return;
+  sockets.delete(socket);
+  if (sockets.size === 0) {
+    networkSockets.delete(networkKey);
+  }
+};
+
 const safeSend = (socket, message) => {
-  if (socket.readyState === socket.OPEN) {
-    socket.send(JSON.stringify(message));
+  if (socket && socket.readyState === socket.OPEN) {
+    const data = JSON.stringify(message);
+    socket.send(data);
+    recordSentMetrics(message, Buffer.byteLength(data));
+  }
+};
+
+const sendSerialized = (socket, type, data) => {
+  if (socket && socket.readyState === socket.OPEN) {
+    socket.send(data, { binary: false });
+    recordSentMetrics({ type }, data.length);
   }
 };
 
@@ -254,44 +1481,351 @@ const getLanRoomMap = (networkKey) => {
   return map;
 };
 
-const getLanShareList = (networkKey) => {
-  const map = lanRoomsByNetwork.get(networkKey);
-  if (!map) return [];
-  return Array.from(map.values()).map((room) => room.meta);
+const getLanShareList = (networkKey) => {
+  const map = lanRoomsByNetwork.get(networkKey);
+  if (!map) return [];
+  return Array.from(map.values()).map((room) => room.meta);
+};
+
+const broadcastShareList = (networkKey) => {
+  const sockets = networkSockets.get(networkKey);
+  if (!sockets) return;
+  const shares = getLanShareList(networkKey);
+  sockets.forEach((socket) => safeSend(socket, { type: 'share:list', shares }));
+};
+
+const normalizeRole = (value) => (value === 'viewer' ? 'viewer' : 'editor');
+
+const allRooms = () => [
+  ...publicRooms.values(),
+  ...Array.from(lanRoomsByNetwork.values(), (map) => [...map.values()]).flat(),
+];
+
+const snapshotBytesInUse = () =>
+  allRooms().reduce((total, room) => total + (room.snapshot?.data.length ?? 0), 0);
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const createSnapshot = async (roomId, hostId, version, payload) => {
+  const text = JSON.stringify(payload ?? null);
+  const size = Buffer.byteLength(text);
+  if (size > config.snapshotMaxBytes) return null;
+  const updatedAt = Date.now();
+  const header = JSON.stringify({ type: 'room:snapshot', roomId, version, updatedAt });
+  const frame = `${header.slice(0, -1)},"payload":${text}}`;
+  const compressed = config.snapshotCompression;
+  return {
+    hostId,
+    version,
+    size,
+    compressed,
+    data: compressed ? await gzip(frame) : Buffer.from(frame),
+    updatedAt,
+  };
+};
+
+const sendSnapshot = async (socket, snapshot) => {
+  const frame = snapshot.compressed ? await gunzip(snapshot.data) : snapshot.data;
+  sendSerialized(socket, 'room:snapshot', frame);
+};
+
+const deliverSnapshot = (socket, room) => {
+  if (!room.snapshot || !socket?.capabilities?.has('room-snapshots')) return;
+  sendSnapshot(socket, room.snapshot);
+};
+
+const describeSnapshot = (snapshot) =>
+  snapshot
+    ? {
+        version: snapshot.version,
+        size: snapshot.size,
+        storedBytes: snapshot.data.length,
+        updatedAt: snapshot.updatedAt,
+      }
+    : null;
+
+let bufferedOpBytes = 0;
+
+const trimOpBuffers = () => {
+  const rooms = allRooms();
+  bufferedOpBytes = rooms.reduce((total, room) => total + room.opBytes, 0);
+  while (bufferedOpBytes > config.opBufferTotalMaxBytes) {
+    const oldest = rooms
+      .filter((room) => room.ops.length > 1)
+      .reduce((found, room) => (!found || room.ops[0].op.ts < found.ops[0].op.ts ? room : found), null);
+    if (!oldest) return;
+    const { size } = oldest.ops.shift();
+    oldest.opBytes -= size;
+    bufferedOpBytes -= size;
+  }
+};
+
+const appendOp = (room, clientId, payload) => {
+  const op = { seq: room.opSeq + 1, clientId, payload, ts: Date.now() };
+  const size = Buffer.byteLength(JSON.stringify(payload ?? null));
+  room.opSeq = op.seq;
+  room.ops.push({ op, size });
+  room.opBytes += size;
+  bufferedOpBytes += size;
+  if (room.resumeToken) {
+    scheduleRoomStore();
+  }
+  while (
+    room.ops.length > 1 &&
+    (room.ops.length > config.opBufferSize || room.opBytes > config.opBufferMaxBytes)
+  ) {
+    const evicted = room.ops.shift().size;
+    room.opBytes -= evicted;
+    bufferedOpBytes -= evicted;
+  }
+  if (config.opBufferTotalMaxBytes && bufferedOpBytes > config.opBufferTotalMaxBytes) {
+    trimOpBuffers();
+  }
+  return op;
+};
+
+const broadcastOp = (room, roomId, op, senderSocket) => {
+  const relay = (socket, legacy) => {
+    if (!socket || socket === senderSocket) return;
+    if (socket.capabilities.has('sequenced-ops')) {
+      safeSend(socket, { type: 'room:op', roomId, ...op });
+    } else {
+      safeSend(socket, legacy);
+    }
+  };
+  relay(room.hostSocket, { type: 'client:message', roomId, clientId: op.clientId, payload: op.payload });
+  room.members.forEach((_member, memberId) => {
+    relay(clientsById.get(memberId), { type: 'room:message', roomId, payload: op.payload });
+  });
+};
+
+const oldestBufferedSeq = (room) => (room.ops.length ? room.ops[0].op.seq : room.opSeq + 1);
+
+const createMember = (role) => ({ role: normalizeRole(role), joinedAt: Date.now() });
+
+const createBans = () => ({ clientIds: new Set(), addresses: new Set() });
+
+const isBanned = (room, clientId, address) =>
+  room.bans.clientIds.has(clientId) || (Boolean(address) && room.bans.addresses.has(address));
+
+const canSendPayload = (member, payload) => {
+  if (member.role !== 'viewer') return true;
+  return config.viewerPayloadTypes.includes(String(payload?.type ?? ''));
+};
+
+const broadcastToMembers = (room, message, exceptId) => {
+  room.members.forEach((_member, memberId) => {
+    if (memberId === exceptId) return;
+    safeSend(clientsById.get(memberId), message);
+  });
+};
+
+const describePendingJoin = (pending) => ({
+  ...pending.request,
+  requestedAt: pending.requestedAt,
+  expiresAt: pending.expiresAt,
+});
+
+const settlePendingJoin = (room, clientId) => {
+  const pending = room.pendingJoins.get(clientId);
+  if (!pending) return null;
+  clearTimeout(pending.timer);
+  room.pendingJoins.delete(clientId);
+  return pending;
+};
+
+const cancelPendingJoin = (room, roomId, clientId, reason) => {
+  const pending = settlePendingJoin(room, clientId);
+  if (!pending) return;
+  safeSend(room.hostSocket, {
+    type: 'join:cancelled',
+    roomId,
+    clientId,
+    requestId: pending.request.requestId,
+    reason,
+  });
+};
+
+const expirePendingJoin = (room, roomId, clientId) => {
+  const pending = room.pendingJoins.get(clientId);
+  if (!pending) return;
+  cancelPendingJoin(room, roomId, clientId, 'timeout');
+  audit('info', 'join:denied', { roomId, clientId, reason: 'timeout' });
+  safeSend(clientsById.get(clientId), {
+    type: 'join:denied',
+    roomId,
+    reason: 'timeout',
+    requestId: pending.request.requestId,
+  });
 };
 
-const broadcastShareList = (networkKey) => {
-  const sockets = networkSockets.get(networkKey);
-  if (!sockets) return;
-  const shares = getLanShareList(networkKey);
-  sockets.forEach((socket) => safeSend(socket, { type: 'share:list', shares }));
+const clearPendingJoins = (room, roomId) => {
+  Array.from(room.pendingJoins.keys()).forEach((clientId) => {
+    const pending = settlePendingJoin(room, clientId);
+    safeSend(clientsById.get(clientId), {
+      type: 'join:denied',
+      roomId,
+      reason: 'room_closed',
+      requestId: pending.request.requestId,
+    });
+  });
+};
+
+const cancelPendingJoinsFor = (clientId, reason) => {
+  publicRooms.forEach((room, roomId) => cancelPendingJoin(room, roomId, clientId, reason));
+  lanRoomsByNetwork.forEach((map) => {
+    map.forEach((room, roomId) => cancelPendingJoin(room, roomId, clientId, reason));
+  });
 };
 
-const removePublicRoom = (roomId) => {
+const removePublicRoom = (roomId, reason = 'closed') => {
   const room = publicRooms.get(roomId);
   if (!room) return;
-  room.members.forEach((memberId) => {
+  clearTimeout(room.graceTimer);
+  clearPendingJoins(room, roomId);
+  room.members.forEach((_member, memberId) => {
     const memberSocket = clientsById.get(memberId);
     if (memberSocket) {
-      safeSend(memberSocket, { type: 'room:closed', roomId });
+      safeSend(memberSocket, { type: 'room:closed', roomId, reason });
     }
   });
   publicRooms.delete(roomId);
+  scheduleRoomStore();
+  audit('info', 'room:remove', { kind: 'public', roomId, clientId: room.hostId, reason });
 };
 
-const removeLanRoom = (roomId, networkKey) => {
+const removeLanRoom = (roomId, networkKey, reason = 'closed') => {
   const map = lanRoomsByNetwork.get(networkKey);
   if (!map) return;
   const room = map.get(roomId);
   if (!room) return;
-  room.members.forEach((memberId) => {
+  clearTimeout(room.graceTimer);
+  clearPendingJoins(room, roomId);
+  room.members.forEach((_member, memberId) => {
     const memberSocket = clientsById.get(memberId);
     if (memberSocket) {
-      safeSend(memberSocket, { type: 'room:closed', roomId });
+      safeSend(memberSocket, { type: 'room:closed', roomId, reason });
     }
   });
   map.delete(roomId);
+  if (!map.size) {
+    lanRoomsByNetwork.delete(networkKey);
+  }
   broadcastShareList(networkKey);
+  audit('info', 'room:remove', { kind: 'lan', roomId, clientId: room.hostId, networkKey, reason });
+};
+
+const holdRoomForHost = (room, roomId, remove) => {
+  const graceMs = config.hostReconnectGraceSeconds * 1000;
+  if (!graceMs) {
+    remove('host_disconnected');
+    return;
+  }
+  room.hostSocket = null;
+  room.hostOfflineSince = Date.now();
+  if (room.resumeToken) {
+    scheduleRoomStore();
+  }
+  broadcastToMembers(room, { type: 'room:host-offline', roomId, graceMs });
+  audit('info', 'room:host-offline', { roomId, clientId: room.hostId, graceMs });
+  room.graceTimer = setTimeout(() => remove('host_timeout'), graceMs);
+};
+
+const restoreHost = (room, roomId, socket) => {
+  clearTimeout(room.graceTimer);
+  room.graceTimer = null;
+  room.hostSocket = socket;
+  if (room.hostOfflineSince) {
+    room.hostOfflineSince = null;
+    broadcastToMembers(room, { type: 'room:host-online', roomId });
+  }
+};
+
+const migrateHost = (room, roomId, nextHostId, reason) => {
+  const nextSocket = clientsById.get(nextHostId);
+  if (!nextSocket?.capabilities.has('host-migration') || !room.members.has(nextHostId)) return false;
+  const previousHostId = room.hostId;
+  clearTimeout(room.graceTimer);
+  room.graceTimer = null;
+  room.hostOfflineSince = null;
+  room.members.delete(nextHostId);
+  if (reason === 'transfer') {
+    room.members.set(previousHostId, createMember('editor'));
+  }
+  room.hostId = nextHostId;
+  room.hostSocket = nextSocket;
+  if (room.resumeToken) {
+    room.resumeToken = crypto.randomBytes(24).toString('hex');
+    scheduleRoomStore();
+  }
+  const notice = { type: 'room:host-changed', roomId, hostId: nextHostId, previousHostId, reason };
+  audit('info', 'room:host-changed', { roomId, clientId: nextHostId, previousHostId, reason });
+  broadcastToMembers(room, notice);
+  safeSend(nextSocket, { ...notice, resumeToken: room.resumeToken });
+  return true;
+};
+
+const promoteSuccessor = (room, roomId) => {
+  if (!room.meta.hostMigration) return false;
+  const successorId = Array.from(room.members.keys()).find((memberId) =>
+    clientsById.get(memberId)?.capabilities?.has('host-migration'),
+  );
+  if (!successorId) return false;
+  return migrateHost(room, roomId, successorId, 'host_left');
+};
+
+const scrypt = promisify(crypto.scrypt);
+
+const hashRoomPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  return { salt, hash: await scrypt(password, salt, ROOM_PASSWORD_KEY_LENGTH) };
+};
+
+const verifyRoomPassword = async (password, stored) =>
+  crypto.timingSafeEqual(await scrypt(password, stored.salt, ROOM_PASSWORD_KEY_LENGTH), stored.hash);
+
+const passwordLockoutKeys = (clientId, address) => [`client:${clientId}`, `address:${address}`];
+
+const passwordLockoutRemaining = (room, keys) => {
+  const now = Date.now();
+  return keys.reduce((remaining, key) => {
+    const entry = room.passwordFailures.get(key);
+    if (!entry || entry.lockedUntil <= now) return remaining;
+    return Math.max(remaining, entry.lockedUntil - now);
+  }, 0);
+};
+
+const recordPasswordFailure = (room, keys) => {
+  if (!config.passwordMaxAttempts) return;
+  keys.forEach((key) => {
+    const entry = room.passwordFailures.get(key) ?? { count: 0, lockedUntil: 0 };
+    entry.count += 1;
+    if (entry.count >= config.passwordMaxAttempts) {
+      entry.count = 0;
+      entry.lockedUntil = Date.now() + config.passwordLockoutSeconds * 1000;
+    }
+    room.passwordFailures.set(key, entry);
+  });
+};
+
+const pruneInvites = (room) => {
+  const now = Date.now();
+  room.invites.forEach((invite, token) => {
+    if (invite.expiresAt <= now || (invite.maxUses && invite.uses >= invite.maxUses)) {
+      room.invites.delete(token);
+    }
+  });
+};
+
+const describeInvite = (token, invite) => ({ token, ...invite });
+
+const consumeInvite = (room, token) => {
+  pruneInvites(room);
+  const invite = token ? room.invites.get(token) : null;
+  if (!invite) return null;
+  invite.uses += 1;
+  return invite;
 };
 
 const handleMemberLeave = (room, roomId, clientId) => {
@@ -300,12 +1834,167 @@ const handleMemberLeave = (room, roomId, clientId) => {
   safeSend(room.hostSocket, { type: 'room:member-left', roomId, clientId });
 };
 
+const isShareExpired = (room, now) =>
+  Boolean(config.lanShareTtlSeconds) &&
+  Boolean(room.hostSocket?.capabilities.has('share-refresh')) &&
+  now - room.meta.updatedAt > config.lanShareTtlSeconds * 1000;
+
+const sweepLanShares = () => {
+  const now = Date.now();
+  lanRoomsByNetwork.forEach((map, networkKey) => {
+    Array.from(map.entries()).forEach(([roomId, room]) => {
+      if (isShareExpired(room, now)) {
+        removeLanRoom(roomId, networkKey, 'expired');
+      }
+    });
+    if (!map.size) {
+      lanRoomsByNetwork.delete(networkKey);
+    }
+  });
+};
+
+const shareSweep = setInterval(sweepLanShares, SHARE_SWEEP_INTERVAL_MS);
+
+let roomStoreTimer = null;
+let roomStoreWriteChain = Promise.resolve();
+
+const resolveRoomStorePath = () => resolveConfigPath(config.roomStoreFile);
+
+const serializeRoom = (roomId, room) => ({
+  roomId,
+  meta: room.meta,
+  hostId: room.hostId,
+  createdAt: room.createdAt,
+  resumeToken: room.resumeToken,
+  apiKey: room.apiKey,
+  namespace: room.namespace,
+  passwordHash: room.passwordHash
+    ? { salt: room.passwordHash.salt.toString('base64'), hash: room.passwordHash.hash.toString('base64') }
+    : null,
+  bans: { clientIds: Array.from(room.bans.clientIds), addresses: Array.from(room.bans.addresses) },
+  hostOfflineSince: room.hostOfflineSince ?? null,
+  opSeq: room.opSeq,
+});
+
+const writeRoomStore = (clean = false) => {
+  clearTimeout(roomStoreTimer);
+  roomStoreTimer = null;
+  if (!config.roomStoreFile) return roomStoreWriteChain;
+  const filePath = resolveRoomStorePath();
+  const payload = JSON.stringify({
+    version: ROOM_STORE_VERSION,
+    savedAt: Date.now(),
+    clean,
+    rooms: Array.from(publicRooms.entries(), ([roomId, room]) => serializeRoom(roomId, room)),
+  });
+  roomStoreWriteChain = roomStoreWriteChain
+    .then(async () => {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(`${filePath}.tmp`, payload, { encoding: 'utf8', mode: 0o600 });
+      await fs.rename(`${filePath}.tmp`, filePath);
+    })
+    .catch((error) => console.error('[collab] failed to write room store', error));
+  return roomStoreWriteChain;
+};
+
+const scheduleRoomStore = () => {
+  if (!config.roomStoreFile || roomStoreTimer || closingSockets) return;
+  roomStoreTimer = setTimeout(() => writeRoomStore(), ROOM_STORE_SAVE_DELAY_MS);
+};
+
+const restoreRoomStore = async () => {
+  if (!config.roomStoreFile) return;
+  const raw = await fs.readFile(resolveRoomStorePath(), 'utf8').catch((error) => {
+    if (error.code !== 'ENOENT') console.error('[collab] failed to read room store', error);
+    return null;
+  });
+  if (!raw) return;
+  let stored;
+  try {
+    stored = JSON.parse(raw);
+  } catch {
+    console.error(`[collab] room store ${config.roomStoreFile} is not valid JSON, ignoring it`);
+    return;
+  }
+  const now = Date.now();
+  const ttlMs = config.roomStoreTtlSeconds * 1000;
+  const opSeqGap = stored?.clean === true ? 0 : ROOM_STORE_OP_SEQ_GAP;
+  let restored = 0;
+  (Array.isArray(stored?.rooms) ? stored.rooms : []).forEach((entry) => {
+    const roomId = typeof entry?.roomId === 'string' ? entry.roomId : '';
+    if (!roomId || publicRooms.has(roomId) || !entry.meta || typeof entry.resumeToken !== 'string') return;
+    if (typeof entry.hostId !== 'string' || !entry.hostId) return;
+    const offlineSince = Number.isFinite(entry.hostOfflineSince) ? entry.hostOfflineSince : stored.savedAt;
+    const expiresAt = (Number.isFinite(offlineSince) ? offlineSince : now) + ttlMs;
+    if (expiresAt <= now) return;
+    publicRooms.set(roomId, {
+      hostId: entry.hostId,
+      hostSocket: null,
+      meta: { ...entry.meta, roomId },
+      members: new Map(),
+      createdAt: Number.isFinite(entry.createdAt) ? entry.createdAt : now,
+      resumeToken: entry.resumeToken,
+      passwordHash: entry.passwordHash
+        ? {
+            salt: Buffer.from(entry.passwordHash.salt, 'base64'),
+            hash: Buffer.from(entry.passwordHash.hash, 'base64'),
+          }
+        : null,
+      passwordFailures: new Map(),
+      invites: new Map(),
+      pendingJoins: new Map(),
+      snapshot: null,
+      ops: [],
+      opBytes: 0,
+      opSeq: (Number.isInteger(entry.opSeq) && entry.opSeq > 0 ? entry.opSeq : 0) + opSeqGap,
+      bans: {
+        clientIds: new Set(entry.bans?.clientIds ?? []),
+        addresses: new Set(entry.bans?.addresses ?? []),
+      },
+      apiKey: typeof entry.apiKey === 'string' ? entry.apiKey : null,
+      namespace: typeof entry.namespace === 'string' ? entry.namespace : '',
+      hostOfflineSince: offlineSince,
+      restored: true,
+      graceTimer: setTimeout(() => removePublicRoom(roomId, 'host_timeout'), expiresAt - now),
+    });
+    restored += 1;
+  });
+  if (restored) {
+    audit('info', 'room:restore', { rooms: restored });
+    console.log(`[collab] restored ${restored} room(s) waiting for their hosts`);
+    await writeRoomStore();
+  }
+};
+
+const detachPublicRooms = () => {
+  publicRooms.forEach((room) => {
+    clearTimeout(room.graceTimer);
+    room.pendingJoins.forEach((entry) => clearTimeout(entry.timer));
+  });
+  publicRooms.clear();
+};
+
+const closeAllRooms = (reason) => {
+  Array.from(publicRooms.keys()).forEach((roomId) => removePublicRoom(roomId, reason));
+  lanRoomsByNetwork.forEach((map, networkKey) => {
+    Array.from(map.keys()).forEach((roomId) => removeLanRoom(roomId, networkKey, reason));
+  });
+};
+
 const findLanRoom = (roomId, networkKey) => {
   const map = lanRoomsByNetwork.get(networkKey);
   if (!map) return null;
   return map.get(roomId) ?? null;
 };
 
+const clientNamespace = (socket) => clients.get(socket)?.namespace ?? '';
+
+const findVisibleRoom = (roomId, networkKey, namespace) => {
+  const resolved = findRoom(roomId, networkKey);
+  if (resolved?.kind === 'public' && resolved.room.namespace !== namespace) return null;
+  return resolved;
+};
+
 const findRoom = (roomId, networkKey) => {
   const publicRoom = publicRooms.get(roomId);
   if (publicRoom) return { kind: 'public', room: publicRoom };
@@ -314,6 +2003,17 @@ const findRoom = (roomId, networkKey) => {
   return null;
 };
 
+const syncLanHostMeta = (room) => {
+  const record = clients.get(room.hostSocket);
+  room.meta = {
+    ...room.meta,
+    hostId: room.hostId,
+    ownerNickname: record?.nickname ?? room.meta.ownerNickname,
+    address: record?.address || room.meta.address,
+    updatedAt: Date.now(),
+  };
+};
+
 const findLanRoomsByHostSocket = (socket) => {
   const matches = [];
   lanRoomsByNetwork.forEach((map, networkKey) => {
@@ -353,6 +2053,477 @@ const findRoomsByMember = (clientId) => {
   return matches;
 };
 
+const hasRoomForClient = (clientId) => {
+  if (findRoomsByMember(clientId).length) return true;
+  if (Array.from(publicRooms.values()).some((room) => room.hostId === clientId)) return true;
+  return Array.from(lanRoomsByNetwork.values()).some((map) =>
+    Array.from(map.values()).some((room) => room.hostId === clientId),
+  );
+};
+
+const describeMember = (clientId) => {
+  const socket = clientsById.get(clientId);
+  const record = socket ? clients.get(socket) : null;
+  return {
+    clientId,
+    nickname: record?.nickname ?? '',
+    online: Boolean(socket),
+  };
+};
+
+const describeRoom = (kind, roomId, room, networkKey) => ({
+  kind,
+  roomId,
+  networkKey: kind === 'lan' ? networkKey : undefined,
+  meta: room.meta,
+  host: describeMember(room.hostId),
+  members: Array.from(room.members.entries(), ([memberId, member]) => ({
+    ...describeMember(memberId),
+    role: member.role,
+  })),
+  bans: {
+    clientIds: Array.from(room.bans.clientIds),
+    addresses: Array.from(room.bans.addresses),
+  },
+  createdAt: room.createdAt,
+  hostOfflineSince: room.hostOfflineSince ?? null,
+  restored: kind === 'public' ? Boolean(room.restored) : undefined,
+  inviteCount: room.invites.size,
+  namespace: kind === 'public' ? room.namespace : undefined,
+  apiKey: room.apiKey ? maskKey(room.apiKey) : undefined,
+  pendingJoins: Array.from(room.pendingJoins.keys()),
+  snapshot: describeSnapshot(room.snapshot),
+  opSeq: room.opSeq,
+  bufferedOps: room.ops.length,
+});
+
+const listAllRooms = () => {
+  const rooms = [];
+  publicRooms.forEach((room, roomId) => {
+    rooms.push(describeRoom('public', roomId, room));
+  });
+  lanRoomsByNetwork.forEach((map, networkKey) => {
+    map.forEach((room, roomId) => {
+      rooms.push(describeRoom('lan', roomId, room, networkKey));
+    });
+  });
+  return rooms;
+};
+
+const listAllClients = () =>
+  Array.from(clients.entries(), ([socket, record]) => ({
+    clientId: record.clientId,
+    nickname: record.nickname,
+    networkKey: record.networkKey,
+    address: record.address,
+    connectedAt: record.connectedAt,
+    protocolVersion: record.protocolVersion,
+    appVersion: record.appVersion,
+    namespace: record.namespace,
+    capabilities: Array.from(socket.capabilities),
+    hosting: [
+      ...findPublicRoomsByHostSocket(socket),
+      ...findLanRoomsByHostSocket(socket).map((entry) => entry.roomId),
+    ],
+    memberOf: findRoomsByMember(record.clientId).map((entry) => entry.roomId),
+  }));
+
+const normalizeMaxMembers = (value) => clampNumber(value, 0, ROOM_MAX_MEMBERS_LIMIT, 0);
+
+const isAppVersionCompatible = (meta, clientVersion) => {
+  if (config.appVersionPolicy === 'none') return true;
+  if (config.appVersionPolicy === 'range') {
+    const range = meta.appVersionRange || (meta.appVersion ? `^${meta.appVersion}` : '');
+    const version = parseVersion(clientVersion);
+    return !range || (Boolean(version) && satisfiesRange(version, range));
+  }
+  if (!meta.appVersion) return true;
+  const roomVersion = parseVersion(meta.appVersion);
+  const version = parseVersion(clientVersion);
+  if (config.appVersionPolicy === 'exact' || !roomVersion || !version) {
+    return meta.appVersion === clientVersion;
+  }
+  return roomVersion.major === version.major && roomVersion.minor === version.minor;
+};
+
+const isClientOutdated = (appVersion) => {
+  if (!config.minClientVersion) return false;
+  const version = parseVersion(appVersion);
+  return !version || compareVersions(version, parseVersion(config.minClientVersion)) < 0;
+};
+
+const hasFreeSlot = (room) => !room.meta.maxMembers || room.members.size < room.meta.maxMembers;
+
+const describePublicRoom = (roomId, room) => ({
+  roomId: String(roomId),
+  name: room.meta.name,
+  requiresPassword: room.meta.requiresPassword,
+  permission: room.meta.permission,
+  visibility: room.meta.visibility,
+  appVersion: room.meta.appVersion,
+  appVersionRange: room.meta.appVersionRange,
+  hostMigration: room.meta.hostMigration,
+  ownerNickname: describeMember(room.hostId).nickname,
+  hostOnline: Boolean(room.hostSocket),
+  memberCount: room.members.size,
+  maxMembers: room.meta.maxMembers,
+  createdAt: room.createdAt,
+});
+
+const ROOM_LIST_SORTS = {
+  createdAt: (room) => room.createdAt,
+  members: (room) => room.members.size,
+};
+
+const encodeListCursor = (entry) =>
+  Buffer.from(JSON.stringify([entry.key, entry.roomId])).toString('base64url');
+
+const decodeListCursor = (cursor) => {
+  try {
+    const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(value) || !Number.isFinite(value[0]) || typeof value[1] !== 'string') return null;
+    return { key: value[0], roomId: value[1] };
+  } catch {
+    return null;
+  }
+};
+
+const matchesRoomQuery = (roomId, room, query) => {
+  if (!query) return room.meta.visibility !== 'private';
+  if (room.meta.visibility === 'private') return roomId === query;
+  const needle = query.toLowerCase();
+  return (
+    roomId.includes(query) ||
+    room.meta.name.toLowerCase().includes(needle) ||
+    describeMember(room.hostId).nickname.toLowerCase().includes(needle)
+  );
+};
+
+const listPublicRooms = (message, namespace) => {
+  const query = typeof message.query === 'string' ? message.query.trim() : '';
+  const sortKey = Object.hasOwn(ROOM_LIST_SORTS, message.sort) ? message.sort : 'createdAt';
+  const direction = message.order === 'asc' ? 1 : -1;
+  const limit = clampNumber(message.limit, 1, ROOM_LIST_MAX_LIMIT, ROOM_LIST_DEFAULT_LIMIT);
+  const compare = (a, b) => direction * (a.key - b.key || a.roomId.localeCompare(b.roomId));
+  let entries = Array.from(publicRooms.entries(), ([roomId, room]) => ({
+    roomId: String(roomId),
+    room,
+    key: ROOM_LIST_SORTS[sortKey](room),
+  })).filter(({ roomId, room }) => {
+    if (room.namespace !== namespace) return false;
+    if (!matchesRoomQuery(roomId, room, query)) return false;
+    if (typeof message.requiresPassword === 'boolean') {
+      if (room.meta.requiresPassword !== message.requiresPassword) return false;
+    }
+    if (typeof message.permission === 'string' && room.meta.permission !== message.permission) return false;
+    if (typeof message.appVersion === 'string' && room.meta.appVersion !== message.appVersion) return false;
+    if (typeof message.hasFreeSlots === 'boolean' && hasFreeSlot(room) !== message.hasFreeSlots) return false;
+    return true;
+  });
+  const total = entries.length;
+  entries.sort(compare);
+  if (typeof message.cursor === 'string' && message.cursor) {
+    const cursor = decodeListCursor(message.cursor);
+    if (!cursor) return null;
+    entries = entries.filter((entry) => compare(entry, cursor) > 0);
+  }
+  const page = entries.slice(0, limit);
+  return {
+    query,
+    total,
+    rooms: page.map(({ roomId, room }) => describePublicRoom(roomId, room)),
+    nextCursor: entries.length > limit ? encodeListCursor(page[page.length - 1]) : null,
+  };
+};
+
+const consumeRateToken = (socket) => {
+  if (!config.messagesPerSecond) return true;
+  const now = Date.now();
+  const bucket = socket.rateBucket;
+  bucket.tokens = Math.min(
+    config.messageBurst,
+    bucket.tokens + ((now - bucket.updatedAt) / 1000) * config.messagesPerSecond,
+  );
+  bucket.updatedAt = now;
+  if (bucket.tokens < 1) return false;
+  bucket.tokens -= 1;
+  return true;
+};
+
+const registerStrike = (socket, reason, message) => {
+  const now = Date.now();
+  socket.strikes = socket.strikes.filter((ts) => now - ts < RATE_LIMIT_STRIKE_WINDOW_MS);
+  socket.strikes.push(now);
+  sendWsError(socket, reason, message);
+  if (config.rateLimitStrikes && socket.strikes.length >= config.rateLimitStrikes) {
+    audit('warn', 'connection:limited', { clientId: clients.get(socket)?.clientId, reason });
+    socket.close(CLOSE_CODE_POLICY_VIOLATION, reason);
+  }
+};
+
+const field = (type, required = false) => ({ type, required });
+
+const MESSAGE_SCHEMAS = {
+  hello: {
+    clientId: field('id', true),
+    nickname: field('string'),
+    avatar: field('string'),
+    protocolVersion: field('integer'),
+    capabilities: field('array'),
+    lanGroup: field('string'),
+    appVersion: field('string'),
+    namespace: field('string'),
+    apiKey: field('string'),
+  },
+  'ws:pong': {},
+  'profile:update': {
+    clientId: field('id', true),
+    nickname: field('string'),
+    avatar: field('string'),
+  },
+  'share:announce': {
+    roomId: field('id', true),
+    hostId: field('id', true),
+    projectId: field('string'),
+    name: field('string'),
+    appVersion: field('string'),
+    appVersionRange: field('string'),
+    requiresPassword: field('boolean'),
+    password: field('string'),
+    ownerNickname: field('string'),
+    permission: field('string'),
+    visibility: field('string'),
+    hostMigration: field('boolean'),
+    maxMembers: field('integer'),
+    address: field('string'),
+  },
+  'share:remove': {
+    roomId: field('id', true),
+  },
+  'share:refresh': {
+    roomId: field('id'),
+  },
+  'room:create': {
+    clientId: field('id', true),
+    name: field('string'),
+    requiresPassword: field('boolean'),
+    password: field('string'),
+    permission: field('string'),
+    visibility: field('string'),
+    appVersion: field('string'),
+    appVersionRange: field('string'),
+    hostMigration: field('boolean'),
+    maxMembers: field('integer'),
+    apiKey: field('string'),
+  },
+  'room:resume': {
+    roomId: field('id', true),
+    clientId: field('id', true),
+    resumeToken: field('string', true),
+  },
+  'room:info': {
+    roomId: field('id', true),
+  },
+  'room:list': {
+    query: field('string'),
+    requiresPassword: field('boolean'),
+    permission: field('string'),
+    appVersion: field('string'),
+    hasFreeSlots: field('boolean'),
+    sort: field('string'),
+    order: field('string'),
+    limit: field('integer'),
+    cursor: field('string'),
+  },
+  'join:request': {
+    roomId: field('id', true),
+    clientId: field('id', true),
+    nickname: field('string'),
+    avatar: field('string'),
+    password: field('string'),
+    appVersion: field('string'),
+    inviteToken: field('string'),
+  },
+  'join:approve': {
+    roomId: field('id', true),
+    clientId: field('id', true),
+    permission: field('string'),
+  },
+  'join:deny': {
+    roomId: field('id', true),
+    clientId: field('id', true),
+    reason: field('string'),
+  },
+  'join:queue': {
+    roomId: field('id', true),
+  },
+  'client:message': {
+    roomId: field('id', true),
+    payload: field('any'),
+  },
+  'room:message': {
+    roomId: field('id', true),
+    targetId: field('string'),
+    payload: field('any'),
+  },
+  'room:invite:create': {
+    roomId: field('id', true),
+    role: field('string'),
+    maxUses: field('integer'),
+    expiresInSeconds: field('integer'),
+  },
+  'room:invite:list': {
+    roomId: field('id', true),
+  },
+  'room:snapshot': {
+    roomId: field('id', true),
+    version: field('integer', true),
+    payload: field('any'),
+  },
+  'room:snapshot:get': {
+    roomId: field('id', true),
+  },
+  'room:op': {
+    roomId: field('id', true),
+    opId: field('string'),
+    payload: field('any', true),
+  },
+  'room:sync': {
+    roomId: field('id', true),
+    sinceSeq: field('integer', true),
+  },
+  'room:invite:revoke': {
+    roomId: field('id', true),
+    token: field('string', true),
+  },
+  'room:transfer-host': {
+    roomId: field('id', true),
+    targetId: field('id', true),
+  },
+  'room:set-role': {
+    roomId: field('id', true),
+    clientId: field('id', true),
+    role: field('string', true),
+  },
+  'room:kick': {
+    roomId: field('id', true),
+    clientId: field('id', true),
+    reason: field('string'),
+  },
+  'room:ban': {
+    roomId: field('id', true),
+    clientId: field('id', true),
+    reason: field('string'),
+    banAddress: field('boolean'),
+  },
+  'room:leave': {
+    roomId: field('id', true),
+    clientId: field('id', true),
+  },
+  'room:close': {
+    roomId: field('id', true),
+  },
+};
+
+const matchesFieldType = (type, value) => {
+  switch (type) {
+    case 'id':
+      return (typeof value === 'string' && value !== '') || Number.isFinite(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+};
+
+const validateMessage = (schema, message) => {
+  const entry = Object.entries(schema).find(([name, spec]) => {
+    const value = message[name];
+    if (value === undefined || value === null) return spec.required;
+    return !matchesFieldType(spec.type, value);
+  });
+  if (!entry) return null;
+  const [name, spec] = entry;
+  return { field: name, expected: spec.type };
+};
+
+const sendWsError = (socket, reason, text, extra = {}) => {
+  safeSend(socket, { type: 'ws:error', reason, message: text, ...extra });
+};
+
+const errorContext = (message) => ({
+  messageType: message.type,
+  requestId: matchesFieldType('id', message.requestId) ? message.requestId : undefined,
+});
+
+const requireClient = (socket, message, clientId) => {
+  const record = clients.get(socket);
+  if (!record) {
+    sendWsError(socket, 'hello_required', `Send hello before ${message.type}`, errorContext(message));
+    return null;
+  }
+  if (clientId !== undefined && record.clientId !== clientId) {
+    sendWsError(socket, 'client_mismatch', 'clientId does not match the one sent with hello', {
+      ...errorContext(message),
+      field: 'clientId',
+    });
+    return null;
+  }
+  return record;
+};
+
+const requireRoom = (socket, message, resolved) => {
+  if (!resolved) {
+    sendWsError(socket, 'room_not_found', `Room ${message.roomId} does not exist`, {
+      ...errorContext(message),
+      roomId: message.roomId,
+    });
+  }
+  return resolved;
+};
+
+const requireHostedRoom = (socket, message, resolved) => {
+  if (!requireRoom(socket, message, resolved)) return null;
+  if (resolved.room.hostSocket !== socket) {
+    sendWsError(socket, 'not_host', `Only the host can send ${message.type}`, {
+      ...errorContext(message),
+      roomId: message.roomId,
+    });
+    return null;
+  }
+  return resolved;
+};
+
+const setDraining = (value, source) => {
+  if (draining === value) return;
+  draining = value;
+  audit('info', value ? 'server:drain' : 'server:resume', { source });
+};
+
+const matchesPendingJoin = (room, clientId, message) => {
+  const pending = room.pendingJoins.get(clientId);
+  if (!pending) return false;
+  return (
+    !matchesFieldType('id', message.requestId) || String(message.requestId) === pending.request.requestId
+  );
+};
+
+const sendNoPendingRequest = (socket, roomId, clientId) => {
+  safeSend(socket, {
+    type: 'room:error',
+    roomId,
+    clientId,
+    reason: 'no_pending_request',
+    message: 'Client has no pending join request',
+  });
+};
+
 const generateRoomId = () => {
   for (let attempt = 0; attempt < ROOM_ID_ATTEMPTS; attempt += 1) {
     const bytes = crypto.randomBytes(ROOM_ID_LENGTH);
@@ -370,36 +2541,201 @@ wss.on('connection', (socket, request) => {
     socket.isAlive = true;
   });
 
-  const remoteAddress = normalizeAddress(request.socket.remoteAddress ?? '');
-  const networkKey = networkKeyFromAddress(remoteAddress);
-  const sockets = networkSockets.get(networkKey) ?? new Set();
-  sockets.add(socket);
-  networkSockets.set(networkKey, sockets);
+  const remoteAddress = resolveClientAddress(request);
+  const addressNetworkKey = networkKeyFromAddress(remoteAddress);
+  let networkKey = addressNetworkKey;
+  const addressCount = addressConnections.get(remoteAddress) ?? 0;
+  const networkCount = networkSockets.get(networkKey)?.size ?? 0;
+  if (
+    (config.maxConnectionsPerAddress && addressCount >= config.maxConnectionsPerAddress) ||
+    (config.maxConnectionsPerNetwork && networkCount >= config.maxConnectionsPerNetwork)
+  ) {
+    audit('warn', 'connection:rejected', {
+      networkKey,
+      address: remoteAddress,
+      reason: 'too_many_connections',
+    });
+    sendWsError(socket, 'too_many_connections', 'Too many connections');
+    socket.close(CLOSE_CODE_POLICY_VIOLATION, 'too_many_connections');
+    return;
+  }
+  addressConnections.set(remoteAddress, addressCount + 1);
+  metrics.connections += 1;
+  addNetworkSocket(networkKey, socket);
+  socket.rateBucket = { tokens: config.messageBurst, updatedAt: Date.now() };
+  socket.strikes = [];
+  socket.capabilities = new Set();
+  audit('info', 'connection:open', { networkKey, address: remoteAddress });
 
-  socket.on('message', (data) => {
+  const handleMessage = async (data) => {
+    if (data.length > config.maxPayloadBytes) {
+      registerStrike(socket, 'payload_too_large', `Messages are limited to ${config.maxPayloadBytes} bytes`);
+      return;
+    }
+    if (!consumeRateToken(socket)) {
+      registerStrike(socket, 'rate_limited', 'Too many messages');
+      return;
+    }
     let message;
     try {
       message = JSON.parse(String(data));
     } catch {
+      sendWsError(socket, 'invalid_json', 'Message is not valid JSON');
+      return;
+    }
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+      sendWsError(socket, 'invalid_message', 'Message must be an object with a string type', {
+        field: 'type',
+      });
+      return;
+    }
+
+    const schema = Object.hasOwn(MESSAGE_SCHEMAS, message.type) ? MESSAGE_SCHEMAS[message.type] : null;
+    if (!schema) {
+      sendWsError(socket, 'unknown_type', `Unknown message type ${message.type}`, errorContext(message));
+      return;
+    }
+
+    const requiredCapability = Object.hasOwn(MESSAGE_CAPABILITIES, message.type)
+      ? MESSAGE_CAPABILITIES[message.type]
+      : null;
+    if (requiredCapability && !socket.capabilities.has(requiredCapability)) {
+      sendWsError(
+        socket,
+        'capability_required',
+        `${message.type} requires the ${requiredCapability} capability`,
+        {
+          ...errorContext(message),
+          capability: requiredCapability,
+        },
+      );
+      return;
+    }
+
+    const invalid = validateMessage(schema, message);
+    if (invalid) {
+      sendWsError(socket, 'invalid_message', `Field ${invalid.field} must be a valid ${invalid.expected}`, {
+        ...errorContext(message),
+        ...invalid,
+      });
       return;
     }
-    if (!message || typeof message.type !== 'string') return;
+
+    incrementMetric(metrics.messagesReceived, message.type);
+    incrementMetric(metrics.bytesReceived, message.type, data.length);
 
     switch (message.type) {
       case 'hello': {
         const clientId = String(message.clientId ?? '');
         if (!clientId) return;
+        const protocolVersion = Number.isInteger(message.protocolVersion)
+          ? message.protocolVersion
+          : MIN_PROTOCOL_VERSION;
+        if (protocolVersion < MIN_PROTOCOL_VERSION || protocolVersion > PROTOCOL_VERSION) {
+          sendWsError(socket, 'protocol_mismatch', `Protocol version ${protocolVersion} is not supported`, {
+            protocolVersion: PROTOCOL_VERSION,
+            minProtocolVersion: MIN_PROTOCOL_VERSION,
+          });
+          socket.close(CLOSE_CODE_PROTOCOL_MISMATCH, 'protocol_mismatch');
+          return;
+        }
+        const appVersion = typeof message.appVersion === 'string' ? message.appVersion.trim() : '';
+        if (isClientOutdated(appVersion)) {
+          audit('info', 'client:outdated', { clientId, networkKey, appVersion });
+          sendWsError(
+            socket,
+            'client_outdated',
+            `Client version ${appVersion || 'unknown'} is older than ${config.minClientVersion}`,
+            { clientVersion: appVersion, minClientVersion: config.minClientVersion },
+          );
+          socket.close(CLOSE_CODE_CLIENT_OUTDATED, 'client_outdated');
+          return;
+        }
+        if (draining && !hasRoomForClient(clientId)) {
+          sendWsError(socket, 'server_draining', 'Server is not accepting new clients');
+          socket.close(CLOSE_CODE_TRY_AGAIN_LATER, 'server_draining');
+          return;
+        }
+        const helloKey = findApiKey(typeof message.apiKey === 'string' ? message.apiKey.trim() : '');
+        const requestedNamespace =
+          typeof message.namespace === 'string' ? message.namespace.trim().toLowerCase() : '';
+        if (requestedNamespace && !findNamespace(requestedNamespace)) {
+          sendWsError(socket, 'unknown_namespace', `Namespace ${requestedNamespace} does not exist`, {
+            namespace: requestedNamespace,
+          });
+          socket.close(CLOSE_CODE_POLICY_VIOLATION, 'unknown_namespace');
+          return;
+        }
+        const keyNamespace = isApiKeyUsable(helloKey) ? helloKey.namespace : null;
+        if (requestedNamespace && keyNamespace !== null && keyNamespace !== requestedNamespace) {
+          sendWsError(socket, 'namespace_mismatch', 'API key belongs to a different namespace', {
+            namespace: requestedNamespace,
+          });
+          socket.close(CLOSE_CODE_POLICY_VIOLATION, 'namespace_mismatch');
+          return;
+        }
+        const namespace = keyNamespace ?? requestedNamespace;
+        const requested = Array.isArray(message.capabilities) ? message.capabilities.map(String) : [];
+        socket.capabilities = new Set(
+          requested.filter((capability) => SERVER_CAPABILITIES.includes(capability)),
+        );
+        const lanGroup = typeof message.lanGroup === 'string' ? message.lanGroup.trim() : '';
+        const nextNetworkKey = lanGroup ? networkKeyFromGroupCode(lanGroup) : addressNetworkKey;
+        if (nextNetworkKey !== networkKey) {
+          removeNetworkSocket(networkKey, socket);
+          addNetworkSocket(nextNetworkKey, socket);
+          networkKey = nextNetworkKey;
+        }
         const nickname = typeof message.nickname === 'string' ? message.nickname : '';
         const avatar = typeof message.avatar === 'string' ? message.avatar : undefined;
-        clients.set(socket, { clientId, nickname, avatar, networkKey });
+        clients.set(socket, {
+          clientId,
+          nickname,
+          avatar,
+          networkKey,
+          address: remoteAddress,
+          connectedAt: clients.get(socket)?.connectedAt ?? Date.now(),
+          protocolVersion,
+          appVersion,
+          namespace,
+        });
         clientsById.set(clientId, socket);
+        audit('info', 'client:hello', {
+          clientId,
+          networkKey,
+          protocolVersion,
+          namespace: namespace || undefined,
+        });
+        safeSend(socket, {
+          type: 'hello:ack',
+          serverVersion,
+          protocolVersion: PROTOCOL_VERSION,
+          minProtocolVersion: MIN_PROTOCOL_VERSION,
+          features: SERVER_CAPABILITIES,
+          capabilities: Array.from(socket.capabilities),
+          appVersionPolicy: config.appVersionPolicy,
+          minClientVersion: config.minClientVersion,
+          namespace,
+          limits: {
+            maxPayloadBytes: config.maxPayloadBytes,
+            messagesPerSecond: config.messagesPerSecond,
+            messageBurst: config.messageBurst,
+            shareTtlMs: config.lanShareTtlSeconds * 1000,
+            snapshotMaxBytes: config.snapshotMaxBytes,
+            opBufferSize: config.opBufferSize,
+          },
+        });
         safeSend(socket, { type: 'share:list', shares: getLanShareList(networkKey) });
         return;
       }
+      case 'ws:pong': {
+        socket.isAlive = true;
+        return;
+      }
       case 'profile:update': {
         const clientId = String(message.clientId ?? '');
-        const record = clients.get(socket);
-        if (!record || record.clientId !== clientId) return;
+        const record = requireClient(socket, message, clientId);
+        if (!record) return;
         const nickname = typeof message.nickname === 'string' ? message.nickname : record.nickname;
         const avatar = typeof message.avatar === 'string' ? message.avatar : record.avatar;
         clients.set(socket, { ...record, nickname, avatar });
@@ -409,27 +2745,78 @@ wss.on('connection', (socket, request) => {
         const roomId = String(message.roomId ?? '');
         const hostId = String(message.hostId ?? '');
         if (!roomId || !hostId) return;
+        const password = typeof message.password === 'string' ? message.password : '';
+        const freshHash = password ? await hashRoomPassword(password) : null;
+        if (socket.readyState !== socket.OPEN) return;
+        const map = getLanRoomMap(networkKey);
+        const existing = map.get(roomId);
+        const passwordHash = freshHash
+          ? freshHash
+          : message.requiresPassword
+            ? (existing?.passwordHash ?? null)
+            : null;
         const meta = {
           roomId,
           hostId,
           projectId: String(message.projectId ?? ''),
           name: String(message.name ?? ''),
           appVersion: String(message.appVersion ?? ''),
-          requiresPassword: Boolean(message.requiresPassword),
+          appVersionRange: String(message.appVersionRange ?? ''),
+          requiresPassword: Boolean(message.requiresPassword || passwordHash),
           ownerNickname: String(message.ownerNickname ?? ''),
           permission: message.permission === 'viewer' ? 'viewer' : 'editor',
           visibility: message.visibility === 'private' ? 'private' : 'public',
+          hostMigration: Boolean(message.hostMigration),
+          maxMembers: normalizeMaxMembers(message.maxMembers),
           address: remoteAddress || String(message.address ?? ''),
           updatedAt: Date.now(),
         };
-        const map = getLanRoomMap(networkKey);
-        const existing = map.get(roomId);
-        map.set(roomId, {
-          hostId,
-          hostSocket: socket,
-          meta,
-          members: existing?.members ?? new Set(),
-        });
+        if (!existing && draining) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'server_draining',
+            message: 'Server is not accepting new rooms',
+          });
+          return;
+        }
+        if (
+          existing &&
+          existing.hostSocket !== socket &&
+          (existing.hostSocket || clients.get(socket)?.clientId !== existing.hostId)
+        ) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'share_taken',
+            message: 'Room is hosted by another client',
+          });
+          return;
+        }
+        if (existing) {
+          restoreHost(existing, roomId, socket);
+          existing.hostId = hostId;
+          existing.meta = meta;
+          existing.passwordHash = passwordHash;
+        } else {
+          audit('info', 'room:create', { kind: 'lan', roomId, clientId: hostId, networkKey });
+          map.set(roomId, {
+            hostId,
+            hostSocket: socket,
+            meta,
+            members: new Map(),
+            createdAt: Date.now(),
+            passwordHash,
+            passwordFailures: new Map(),
+            invites: new Map(),
+            pendingJoins: new Map(),
+            snapshot: null,
+            ops: [],
+            opBytes: 0,
+            opSeq: 0,
+            bans: createBans(),
+          });
+        }
         broadcastShareList(networkKey);
         return;
       }
@@ -438,27 +2825,86 @@ wss.on('connection', (socket, request) => {
         if (!roomId) return;
         const publicRoom = publicRooms.get(roomId);
         if (publicRoom && publicRoom.hostSocket === socket) {
-          removePublicRoom(roomId);
+          removePublicRoom(roomId, 'share_removed');
           return;
         }
         const lanRoom = findLanRoom(roomId, networkKey);
         if (lanRoom && lanRoom.hostSocket === socket) {
-          removeLanRoom(roomId, networkKey);
+          removeLanRoom(roomId, networkKey, 'share_removed');
+        }
+        return;
+      }
+      case 'share:refresh': {
+        const roomId = String(message.roomId ?? '');
+        const hosted = findLanRoomsByHostSocket(socket).filter((entry) => !roomId || entry.roomId === roomId);
+        if (roomId && !hosted.length) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'share_not_found',
+            message: 'Share is not announced, announce it again',
+          });
+          return;
         }
+        const now = Date.now();
+        hosted.forEach((entry) => {
+          findLanRoom(entry.roomId, entry.networkKey).meta.updatedAt = now;
+        });
         return;
       }
       case 'room:create': {
         const clientId = String(message.clientId ?? '');
-        const record = clients.get(socket);
-        if (!record || record.clientId !== clientId) return;
-        if (config.requireApiKey) {
-          const apiKey = typeof message.apiKey === 'string' ? message.apiKey.trim() : '';
-          if (!apiKey || !config.apiKeys.includes(apiKey)) {
-            safeSend(socket, { type: 'room:error', reason: 'api_key_required', message: 'API key required' });
+        const record = requireClient(socket, message, clientId);
+        if (!record) return;
+        const password = typeof message.password === 'string' ? message.password : '';
+        const passwordHash = password ? await hashRoomPassword(password) : null;
+        if (socket.readyState !== socket.OPEN) return;
+        if (draining) {
+          audit('info', 'room:create-denied', { clientId, networkKey, reason: 'server_draining' });
+          safeSend(socket, {
+            type: 'room:error',
+            reason: 'server_draining',
+            message: 'Server is not accepting new rooms',
+          });
+          return;
+        }
+        const keyRecord = findApiKey(typeof message.apiKey === 'string' ? message.apiKey.trim() : '');
+        if (isApiKeyUsable(keyRecord) && keyRecord.namespace !== record.namespace) {
+          if (record.namespace) {
+            audit('info', 'room:create-denied', { clientId, networkKey, reason: 'namespace_mismatch' });
+            safeSend(socket, {
+              type: 'room:error',
+              reason: 'namespace_mismatch',
+              message: 'API key belongs to a different namespace',
+            });
             return;
           }
+          record.namespace = keyRecord.namespace;
+        }
+        const { namespace } = record;
+        const tenant = findNamespace(namespace);
+        const keyDenial = apiKeyDenialReason(keyRecord);
+        if ((config.requireApiKey || tenant?.requireApiKey) && keyDenial) {
+          audit('info', 'room:create-denied', {
+            clientId,
+            networkKey,
+            reason: keyDenial,
+            key: keyRecord ? maskKey(keyRecord.key) : undefined,
+          });
+          safeSend(socket, {
+            type: 'room:error',
+            reason: keyDenial,
+            message: API_KEY_DENIAL_MESSAGES[keyDenial],
+            maxRooms: keyDenial === 'api_key_quota' ? keyRecord.maxRooms : undefined,
+          });
+          return;
         }
-        if (config.maxRooms > 0 && publicRooms.size >= config.maxRooms) {
+        const apiKey = keyDenial ? null : keyRecord.key;
+        if (
+          (config.maxRooms > 0 && publicRooms.size >= config.maxRooms) ||
+          (tenant?.maxRooms > 0 && countRoomsInNamespace(namespace) >= tenant.maxRooms)
+        ) {
+          audit('info', 'room:create-denied', { clientId, networkKey, reason: 'room_limit' });
           safeSend(socket, { type: 'room:error', reason: 'room_limit', message: 'Room limit reached' });
           return;
         }
@@ -468,83 +2914,244 @@ wss.on('connection', (socket, request) => {
         const meta = {
           roomId,
           name: String(message.name ?? ''),
-          requiresPassword: Boolean(message.requiresPassword),
+          requiresPassword: Boolean(message.requiresPassword || password),
           permission,
           visibility,
           appVersion: String(message.appVersion ?? ''),
+          appVersionRange: String(message.appVersionRange ?? ''),
+          hostMigration: Boolean(message.hostMigration),
+          maxMembers: normalizeMaxMembers(message.maxMembers),
         };
+        const resumeToken = crypto.randomBytes(24).toString('hex');
         publicRooms.set(roomId, {
           hostId: clientId,
           hostSocket: socket,
           meta,
-          members: new Set(),
+          members: new Map(),
+          createdAt: Date.now(),
+          resumeToken,
+          passwordHash,
+          passwordFailures: new Map(),
+          invites: new Map(),
+          pendingJoins: new Map(),
+          snapshot: null,
+          ops: [],
+          opBytes: 0,
+          opSeq: 0,
+          bans: createBans(),
+          apiKey,
+          namespace,
+        });
+        scheduleRoomStore();
+        if (apiKey) {
+          keyRecord.lastUsedAt = Date.now();
+          keyRecord.roomsCreated += 1;
+          scheduleConfigSave();
+        }
+        audit('info', 'room:create', {
+          kind: 'public',
+          roomId,
+          clientId,
+          networkKey,
+          key: apiKey ? maskKey(apiKey) : undefined,
+          namespace: namespace || undefined,
         });
-        safeSend(socket, { type: 'room:created', roomId });
+        safeSend(socket, { type: 'room:created', roomId, resumeToken });
         return;
       }
-      case 'room:info': {
+      case 'room:resume': {
         const roomId = String(message.roomId ?? '');
+        const clientId = String(message.clientId ?? '');
+        const resumeToken = typeof message.resumeToken === 'string' ? message.resumeToken : '';
         if (!roomId) return;
+        const record = requireClient(socket, message, clientId);
+        if (!record) return;
         const room = publicRooms.get(roomId);
-        if (!room) {
-          safeSend(socket, { type: 'room:info', roomId, room: null });
+        if (
+          !room ||
+          !tokensMatch(resumeToken, room.resumeToken) ||
+          (room.restored && room.hostId !== clientId)
+        ) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'resume_failed',
+            message: 'Room cannot be resumed',
+          });
           return;
         }
+        restoreHost(room, roomId, socket);
+        room.hostId = clientId;
+        audit('info', 'room:resume', { roomId, clientId, networkKey, restored: room.restored || undefined });
+        room.restored = false;
+        scheduleRoomStore();
         safeSend(socket, {
-          type: 'room:info',
+          type: 'room:resumed',
           roomId,
-          room: {
-            roomId: String(roomId),
-            name: room.meta.name,
-            requiresPassword: room.meta.requiresPassword,
-            permission: room.meta.permission,
-            visibility: room.meta.visibility,
-            appVersion: room.meta.appVersion,
-          },
+          meta: room.meta,
+          members: Array.from(room.members.entries(), ([memberId, member]) => ({
+            clientId: memberId,
+            role: member.role,
+          })),
         });
         return;
       }
+      case 'room:info': {
+        const roomId = String(message.roomId ?? '');
+        if (!roomId) return;
+        const room = publicRooms.get(roomId);
+        if (!room || room.namespace !== clientNamespace(socket)) {
+          safeSend(socket, { type: 'room:info', roomId, room: null });
+          return;
+        }
+        safeSend(socket, { type: 'room:info', roomId, room: describePublicRoom(roomId, room) });
+        return;
+      }
       case 'room:list': {
-        const query = typeof message.query === 'string' ? message.query.trim() : '';
-        const rooms = Array.from(publicRooms.entries())
-          .filter(([roomId, room]) => {
-            const id = String(roomId ?? '');
-            if (!query) {
-              return room.meta.visibility !== 'private';
-            }
-            const matches = id.includes(query);
-            if (!matches) return false;
-            if (room.meta.visibility !== 'private') return true;
-            return id === query;
-          })
-          .map(([roomId, room]) => ({
-            roomId: String(roomId ?? room.meta.roomId ?? ''),
-            name: room.meta.name,
-            requiresPassword: room.meta.requiresPassword,
-            permission: room.meta.permission,
-            visibility: room.meta.visibility,
-            appVersion: room.meta.appVersion,
-          }));
-        safeSend(socket, { type: 'room:list', rooms, query });
+        const result = listPublicRooms(message, clientNamespace(socket));
+        if (!result) {
+          safeSend(socket, { type: 'room:error', reason: 'invalid_cursor', message: 'Cursor is not valid' });
+          return;
+        }
+        safeSend(socket, { type: 'room:list', ...result });
         return;
       }
       case 'join:request': {
         const roomId = String(message.roomId ?? '');
         const clientId = String(message.clientId ?? '');
         if (!roomId || !clientId) return;
-        const resolved = findRoom(roomId, networkKey);
+        const record = requireClient(socket, message, clientId);
+        if (!record) return;
+        const deny = (reason, extra = {}) => {
+          audit('info', 'join:denied', { roomId, clientId, networkKey, reason });
+          safeSend(socket, { type: 'join:denied', roomId, reason, ...extra });
+        };
+        const resolved = findVisibleRoom(roomId, networkKey, clientNamespace(socket));
         if (!resolved) {
-          safeSend(socket, { type: 'join:denied', roomId, reason: 'not_found' });
+          deny('not_found');
           return;
         }
-        safeSend(resolved.room.hostSocket, {
-          type: 'join:request',
+        if (!resolved.room.hostSocket) {
+          deny('host_offline');
+          return;
+        }
+        const { room } = resolved;
+        if (isBanned(room, clientId, remoteAddress)) {
+          deny('banned');
+          return;
+        }
+        if (!room.members.has(clientId) && !hasFreeSlot(room)) {
+          deny('room_full', { maxMembers: room.meta.maxMembers });
+          return;
+        }
+        const clientVersion =
+          typeof message.appVersion === 'string' ? message.appVersion.trim() : (record.appVersion ?? '');
+        if (!isAppVersionCompatible(room.meta, clientVersion)) {
+          deny('version_mismatch', {
+            roomVersion: room.meta.appVersion,
+            roomVersionRange: room.meta.appVersionRange || undefined,
+            clientVersion,
+            policy: config.appVersionPolicy,
+          });
+          return;
+        }
+        const inviteToken = typeof message.inviteToken === 'string' ? message.inviteToken.trim() : '';
+        if (inviteToken) {
+          const invite = consumeInvite(room, inviteToken);
+          if (!invite) {
+            deny('invalid_invite');
+            return;
+          }
+          cancelPendingJoin(room, roomId, record.clientId, 'invite');
+          const member = createMember(invite.role);
+          room.members.set(record.clientId, member);
+          audit('info', 'join:approve', {
+            roomId,
+            clientId: record.clientId,
+            networkKey,
+            role: member.role,
+            via: 'invite',
+          });
+          safeSend(socket, {
+            type: 'join:approved',
+            roomId,
+            hostId: room.hostId,
+            permission: member.role,
+            viaInvite: true,
+            snapshotVersion: room.snapshot?.version,
+            opSeq: room.opSeq,
+          });
+          deliverSnapshot(socket, room);
+          safeSend(room.hostSocket, {
+            type: 'room:member-joined',
+            roomId,
+            clientId: record.clientId,
+            nickname: String(message.nickname ?? record.nickname ?? ''),
+            avatar: typeof message.avatar === 'string' ? message.avatar : record.avatar,
+            role: member.role,
+            appVersion: clientVersion || undefined,
+            inviteToken,
+          });
+          return;
+        }
+        const existing = room.pendingJoins.get(record.clientId);
+        if (existing) {
+          safeSend(socket, {
+            type: 'join:pending',
+            roomId,
+            requestId: existing.request.requestId,
+            expiresAt: existing.expiresAt,
+          });
+          return;
+        }
+        const password = typeof message.password === 'string' ? message.password : undefined;
+        if (room.passwordHash) {
+          const lockoutKeys = passwordLockoutKeys(record.clientId, remoteAddress);
+          const retryAfterMs = passwordLockoutRemaining(room, lockoutKeys);
+          if (retryAfterMs > 0) {
+            deny('locked_out', { retryAfterMs });
+            return;
+          }
+          recordPasswordFailure(room, lockoutKeys);
+          if (!password || !(await verifyRoomPassword(password, room.passwordHash))) {
+            deny('bad_password');
+            return;
+          }
+          lockoutKeys.forEach((key) => room.passwordFailures.delete(key));
+          if (
+            findVisibleRoom(roomId, networkKey, clientNamespace(socket))?.room !== room ||
+            !room.hostSocket
+          ) {
+            deny(room.hostSocket ? 'not_found' : 'host_offline');
+            return;
+          }
+          if (room.pendingJoins.has(record.clientId)) return;
+        }
+        const request = {
           roomId,
-          clientId,
-          nickname: String(message.nickname ?? ''),
-          avatar: typeof message.avatar === 'string' ? message.avatar : undefined,
-          password: typeof message.password === 'string' ? message.password : undefined,
-          requestId: String(message.requestId ?? ''),
+          clientId: record.clientId,
+          nickname: String(message.nickname ?? record.nickname ?? ''),
+          avatar: typeof message.avatar === 'string' ? message.avatar : record.avatar,
+          password: room.passwordHash ? undefined : password,
+          passwordVerified: Boolean(room.passwordHash),
+          appVersion: clientVersion || undefined,
+          requestId: String(message.requestId ?? '') || crypto.randomBytes(8).toString('hex'),
+        };
+        const timeoutMs = config.joinRequestTimeoutSeconds * 1000;
+        const pending = {
+          request,
+          requestedAt: Date.now(),
+          expiresAt: Date.now() + timeoutMs,
+          timer: setTimeout(() => expirePendingJoin(room, roomId, request.clientId), timeoutMs),
+        };
+        room.pendingJoins.set(request.clientId, pending);
+        audit('info', 'join:request', { roomId, clientId, networkKey });
+        safeSend(room.hostSocket, { type: 'join:request', ...request });
+        safeSend(socket, {
+          type: 'join:pending',
+          roomId,
+          requestId: request.requestId,
+          expiresAt: pending.expiresAt,
         });
         return;
       }
@@ -552,17 +3159,46 @@ wss.on('connection', (socket, request) => {
         const roomId = String(message.roomId ?? '');
         const clientId = String(message.clientId ?? '');
         if (!roomId || !clientId) return;
-        const resolved = findRoom(roomId, networkKey);
-        if (!resolved || resolved.room.hostSocket !== socket) return;
-        resolved.room.members.add(clientId);
+        const resolved = requireHostedRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        if (!matchesPendingJoin(resolved.room, clientId, message)) {
+          sendNoPendingRequest(socket, roomId, clientId);
+          return;
+        }
         const memberSocket = clientsById.get(clientId);
+        if (isBanned(resolved.room, clientId, clients.get(memberSocket)?.address)) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'banned',
+            message: 'Client is banned from this room',
+          });
+          return;
+        }
+        if (!resolved.room.members.has(clientId) && !hasFreeSlot(resolved.room)) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'room_full',
+            message: 'Room is full',
+          });
+          return;
+        }
+        const pending = settlePendingJoin(resolved.room, clientId);
+        const member = createMember(message.permission);
+        resolved.room.members.set(clientId, member);
+        audit('info', 'join:approve', { roomId, clientId, networkKey, role: member.role });
         if (memberSocket) {
           safeSend(memberSocket, {
             type: 'join:approved',
             roomId,
             hostId: resolved.room.hostId,
-            permission: String(message.permission ?? 'editor'),
+            permission: member.role,
+            requestId: pending.request.requestId,
+            snapshotVersion: resolved.room.snapshot?.version,
+            opSeq: resolved.room.opSeq,
           });
+          deliverSnapshot(memberSocket, resolved.room);
         }
         return;
       }
@@ -570,25 +3206,68 @@ wss.on('connection', (socket, request) => {
         const roomId = String(message.roomId ?? '');
         const clientId = String(message.clientId ?? '');
         if (!roomId || !clientId) return;
-        const resolved = findRoom(roomId, networkKey);
-        if (!resolved || resolved.room.hostSocket !== socket) return;
+        const resolved = requireHostedRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        if (!matchesPendingJoin(resolved.room, clientId, message)) {
+          sendNoPendingRequest(socket, roomId, clientId);
+          return;
+        }
+        const pending = settlePendingJoin(resolved.room, clientId);
+        const hostReason = String(message.reason ?? '');
+        const reason = JOIN_DENIAL_REASONS.includes(hostReason) ? hostReason : 'host';
+        audit('info', 'join:denied', { roomId, clientId, networkKey, reason });
         const memberSocket = clientsById.get(clientId);
         if (memberSocket) {
           safeSend(memberSocket, {
             type: 'join:denied',
             roomId,
-            reason: String(message.reason ?? ''),
+            reason,
+            message: reason === hostReason ? undefined : hostReason || undefined,
+            requestId: pending.request.requestId,
           });
         }
         return;
       }
+      case 'join:queue': {
+        const roomId = String(message.roomId ?? '');
+        if (!roomId) return;
+        const resolved = requireHostedRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        safeSend(socket, {
+          type: 'join:queue',
+          roomId,
+          requests: Array.from(resolved.room.pendingJoins.values(), describePendingJoin),
+        });
+        return;
+      }
       case 'client:message': {
         const roomId = String(message.roomId ?? '');
         if (!roomId) return;
-        const resolved = findRoom(roomId, networkKey);
-        const client = clients.get(socket);
-        if (!resolved || !client) return;
+        const client = requireClient(socket, message);
+        if (!client) return;
+        const resolved = requireRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        const member = resolved.room.members.get(client.clientId);
+        if (!member) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'not_member',
+            message: 'Not a member of this room',
+          });
+          return;
+        }
         const payload = message.payload;
+        if (!canSendPayload(member, payload)) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'forbidden',
+            message: 'Viewers cannot send this message',
+            payloadType: String(payload?.type ?? ''),
+          });
+          return;
+        }
         safeSend(resolved.room.hostSocket, {
           type: 'client:message',
           roomId,
@@ -596,7 +3275,7 @@ wss.on('connection', (socket, request) => {
           payload,
         });
         if (payload && payload.type === 'cursor:update') {
-          resolved.room.members.forEach((memberId) => {
+          resolved.room.members.forEach((_member, memberId) => {
             if (memberId === client.clientId) return;
             const memberSocket = clientsById.get(memberId);
             if (memberSocket) {
@@ -609,8 +3288,8 @@ wss.on('connection', (socket, request) => {
       case 'room:message': {
         const roomId = String(message.roomId ?? '');
         if (!roomId) return;
-        const resolved = findRoom(roomId, networkKey);
-        if (!resolved || resolved.room.hostSocket !== socket) return;
+        const resolved = requireHostedRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
         const targetId = typeof message.targetId === 'string' ? message.targetId : null;
         if (targetId) {
           const targetSocket = clientsById.get(targetId);
@@ -619,7 +3298,7 @@ wss.on('connection', (socket, request) => {
           }
           return;
         }
-        resolved.room.members.forEach((memberId) => {
+        resolved.room.members.forEach((_member, memberId) => {
           const memberSocket = clientsById.get(memberId);
           if (memberSocket) {
             safeSend(memberSocket, { type: 'room:message', roomId, payload: message.payload });
@@ -627,38 +3306,374 @@ wss.on('connection', (socket, request) => {
         });
         return;
       }
+      case 'room:snapshot': {
+        const roomId = String(message.roomId ?? '');
+        if (!roomId) return;
+        const resolved = requireHostedRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        const { room } = resolved;
+        if (room.snapshot?.hostId === room.hostId && message.version <= room.snapshot.version) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'snapshot_stale',
+            message: 'Snapshot version must be greater than the stored one',
+            version: room.snapshot.version,
+          });
+          return;
+        }
+        const snapshot = await createSnapshot(roomId, room.hostId, message.version, message.payload);
+        if (!snapshot) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'snapshot_too_large',
+            message: `Snapshots are limited to ${config.snapshotMaxBytes} bytes`,
+            maxBytes: config.snapshotMaxBytes,
+          });
+          return;
+        }
+        if (room.hostSocket !== socket) return;
+        if (
+          config.snapshotTotalMaxBytes &&
+          snapshotBytesInUse() - (room.snapshot?.data.length ?? 0) + snapshot.data.length >
+            config.snapshotTotalMaxBytes
+        ) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'snapshot_capacity',
+            message: 'The server has no room for more snapshots',
+          });
+          return;
+        }
+        room.snapshot = snapshot;
+        audit('debug', 'room:snapshot', {
+          roomId,
+          clientId: room.hostId,
+          version: snapshot.version,
+          size: snapshot.size,
+        });
+        safeSend(socket, {
+          type: 'room:snapshot:stored',
+          roomId,
+          version: snapshot.version,
+          size: snapshot.size,
+        });
+        return;
+      }
+      case 'room:snapshot:get': {
+        const roomId = String(message.roomId ?? '');
+        if (!roomId) return;
+        const client = requireClient(socket, message);
+        if (!client) return;
+        const resolved = requireRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        const { room } = resolved;
+        if (room.hostSocket !== socket && !room.members.has(client.clientId)) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'not_member',
+            message: 'Not a member of this room',
+          });
+          return;
+        }
+        if (!room.snapshot) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'snapshot_not_found',
+            message: 'The host has not stored a snapshot yet',
+          });
+          return;
+        }
+        await sendSnapshot(socket, room.snapshot);
+        return;
+      }
+      case 'room:op': {
+        const roomId = String(message.roomId ?? '');
+        if (!roomId) return;
+        const client = requireClient(socket, message);
+        if (!client) return;
+        const resolved = requireRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        const { room } = resolved;
+        const isHost = room.hostSocket === socket;
+        const member = room.members.get(client.clientId);
+        if (!isHost && !member) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'not_member',
+            message: 'Not a member of this room',
+          });
+          return;
+        }
+        if (member && !isHost && !canSendPayload(member, message.payload)) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'forbidden',
+            message: 'Viewers cannot send this message',
+            payloadType: String(message.payload?.type ?? ''),
+          });
+          return;
+        }
+        const op = appendOp(room, client.clientId, message.payload);
+        broadcastOp(room, roomId, op, socket);
+        safeSend(socket, {
+          type: 'room:op:ack',
+          roomId,
+          opId: typeof message.opId === 'string' ? message.opId : undefined,
+          seq: op.seq,
+          ts: op.ts,
+        });
+        return;
+      }
+      case 'room:sync': {
+        const roomId = String(message.roomId ?? '');
+        if (!roomId) return;
+        const client = requireClient(socket, message);
+        if (!client) return;
+        const resolved = requireRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        const { room } = resolved;
+        if (room.hostSocket !== socket && !room.members.has(client.clientId)) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'not_member',
+            message: 'Not a member of this room',
+          });
+          return;
+        }
+        const sinceSeq = Math.max(0, message.sinceSeq);
+        if (sinceSeq > room.opSeq || (sinceSeq < room.opSeq && sinceSeq + 1 < oldestBufferedSeq(room))) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'resync_required',
+            message: 'Missed operations are no longer buffered',
+            seq: room.opSeq,
+            oldestSeq: oldestBufferedSeq(room),
+            snapshotVersion: room.snapshot?.version,
+          });
+          return;
+        }
+        safeSend(socket, {
+          type: 'room:sync',
+          roomId,
+          seq: room.opSeq,
+          ops: room.ops.filter(({ op }) => op.seq > sinceSeq).map(({ op }) => op),
+        });
+        return;
+      }
+      case 'room:invite:create': {
+        const roomId = String(message.roomId ?? '');
+        if (!roomId) return;
+        const resolved = requireHostedRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        const { room } = resolved;
+        pruneInvites(room);
+        if (room.invites.size >= ROOM_MAX_INVITES) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'invite_limit',
+            message: `Rooms are limited to ${ROOM_MAX_INVITES} active invites`,
+          });
+          return;
+        }
+        const token = crypto.randomBytes(18).toString('base64url');
+        const ttlSeconds = clampNumber(
+          message.expiresInSeconds,
+          1,
+          INVITE_MAX_TTL_SECONDS,
+          config.inviteTtlSeconds,
+        );
+        const invite = {
+          role: normalizeRole(message.role ?? room.meta.permission),
+          maxUses: clampNumber(message.maxUses, 0, 10_000, 0),
+          uses: 0,
+          createdAt: Date.now(),
+          expiresAt: Date.now() + ttlSeconds * 1000,
+        };
+        room.invites.set(token, invite);
+        audit('info', 'room:invite-create', {
+          roomId,
+          clientId: room.hostId,
+          role: invite.role,
+          maxUses: invite.maxUses,
+          expiresAt: invite.expiresAt,
+        });
+        safeSend(socket, { type: 'room:invite:created', roomId, invite: describeInvite(token, invite) });
+        return;
+      }
+      case 'room:invite:list': {
+        const roomId = String(message.roomId ?? '');
+        if (!roomId) return;
+        const resolved = requireHostedRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        pruneInvites(resolved.room);
+        safeSend(socket, {
+          type: 'room:invite:list',
+          roomId,
+          invites: Array.from(resolved.room.invites.entries(), ([token, invite]) =>
+            describeInvite(token, invite),
+          ),
+        });
+        return;
+      }
+      case 'room:invite:revoke': {
+        const roomId = String(message.roomId ?? '');
+        const token = typeof message.token === 'string' ? message.token : '';
+        if (!roomId || !token) return;
+        const resolved = requireHostedRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        if (!resolved.room.invites.delete(token)) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'invite_not_found',
+            message: 'Invite does not exist or has expired',
+          });
+          return;
+        }
+        audit('info', 'room:invite-revoke', { roomId, clientId: resolved.room.hostId });
+        safeSend(socket, { type: 'room:invite:revoked', roomId, token });
+        return;
+      }
+      case 'room:transfer-host': {
+        const roomId = String(message.roomId ?? '');
+        const targetId = String(message.targetId ?? '');
+        if (!roomId || !targetId) return;
+        const resolved = requireHostedRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        if (!migrateHost(resolved.room, roomId, targetId, 'transfer')) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'transfer_failed',
+            message: 'Target is not an online member that supports host migration',
+          });
+          return;
+        }
+        if (resolved.kind === 'lan') {
+          syncLanHostMeta(resolved.room);
+          broadcastShareList(networkKey);
+        }
+        return;
+      }
+      case 'room:set-role': {
+        const roomId = String(message.roomId ?? '');
+        const clientId = String(message.clientId ?? '');
+        if (!roomId || !clientId) return;
+        const resolved = requireHostedRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        const member = resolved.room.members.get(clientId);
+        if (!member) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'not_member',
+            message: 'Client is not a member',
+          });
+          return;
+        }
+        member.role = normalizeRole(message.role);
+        const notice = { type: 'room:role-changed', roomId, clientId, role: member.role };
+        safeSend(clientsById.get(clientId), notice);
+        safeSend(socket, notice);
+        return;
+      }
+      case 'room:kick':
+      case 'room:ban': {
+        const roomId = String(message.roomId ?? '');
+        const clientId = String(message.clientId ?? '');
+        if (!roomId || !clientId) return;
+        const resolved = requireHostedRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
+        const { room } = resolved;
+        const targetSocket = clientsById.get(clientId);
+        const banned = message.type === 'room:ban';
+        if (banned) {
+          room.bans.clientIds.add(clientId);
+          const address = clients.get(targetSocket)?.address;
+          if (address && message.banAddress !== false) {
+            room.bans.addresses.add(address);
+          }
+          if (resolved.kind === 'public') {
+            scheduleRoomStore();
+          }
+        } else if (!room.members.has(clientId)) {
+          safeSend(socket, {
+            type: 'room:error',
+            roomId,
+            reason: 'not_member',
+            message: 'Client is not a member',
+          });
+          return;
+        }
+        audit('info', banned ? 'room:ban' : 'room:kick', { roomId, clientId, networkKey });
+        if (room.members.has(clientId)) {
+          safeSend(targetSocket, {
+            type: 'room:kicked',
+            roomId,
+            banned,
+            reason: String(message.reason ?? ''),
+          });
+          handleMemberLeave(room, roomId, clientId);
+        }
+        return;
+      }
       case 'room:leave': {
         const roomId = String(message.roomId ?? '');
         const clientId = String(message.clientId ?? '');
         if (!roomId || !clientId) return;
-        const resolved = findRoom(roomId, networkKey);
+        const record = requireClient(socket, message, clientId);
+        if (!record) return;
+        const resolved = requireRoom(socket, message, findRoom(roomId, networkKey));
         if (!resolved) return;
-        handleMemberLeave(resolved.room, roomId, clientId);
+        cancelPendingJoin(resolved.room, roomId, record.clientId, 'left');
+        handleMemberLeave(resolved.room, roomId, record.clientId);
         return;
       }
       case 'room:close': {
         const roomId = String(message.roomId ?? '');
         if (!roomId) return;
-        const resolved = findRoom(roomId, networkKey);
-        if (!resolved || resolved.room.hostSocket !== socket) return;
+        const resolved = requireHostedRoom(socket, message, findRoom(roomId, networkKey));
+        if (!resolved) return;
         if (resolved.kind === 'public') {
-          removePublicRoom(roomId);
+          removePublicRoom(roomId, 'host_closed');
         } else {
-          removeLanRoom(roomId, networkKey);
+          removeLanRoom(roomId, networkKey, 'host_closed');
         }
         return;
       }
       default:
         return;
     }
+  };
+
+  socket.messageQueue = Promise.resolve();
+  socket.on('message', (data) => {
+    socket.messageQueue = socket.messageQueue.then(() => handleMessage(data));
   });
 
-  socket.on('close', () => {
+  socket.on('close', (code, reason) => {
     const record = clients.get(socket);
+    audit(socket.closeReason ? 'warn' : 'info', 'connection:close', {
+      clientId: record?.clientId,
+      networkKey,
+      code,
+      reason: socket.closeReason ?? String(reason ?? ''),
+    });
     if (record) {
       clients.delete(socket);
       if (clientsById.get(record.clientId) === socket) {
         clientsById.delete(record.clientId);
+        cancelPendingJoinsFor(record.clientId, 'disconnected');
       }
       const roomsWithMember = findRoomsByMember(record.clientId);
       roomsWithMember.forEach((entry) => {
@@ -670,30 +3685,105 @@ wss.on('connection', (socket, request) => {
 
     const lanRooms = findLanRoomsByHostSocket(socket);
     lanRooms.forEach(({ roomId, networkKey: roomNetwork }) => {
-      removeLanRoom(roomId, roomNetwork);
+      const room = findLanRoom(roomId, roomNetwork);
+      if (promoteSuccessor(room, roomId)) {
+        syncLanHostMeta(room);
+        broadcastShareList(roomNetwork);
+        return;
+      }
+      holdRoomForHost(room, roomId, (reason) => removeLanRoom(roomId, roomNetwork, reason));
     });
 
     const publicHostRooms = findPublicRoomsByHostSocket(socket);
-    publicHostRooms.forEach((roomId) => removePublicRoom(roomId));
+    publicHostRooms.forEach((roomId) => {
+      const room = publicRooms.get(roomId);
+      if (promoteSuccessor(room, roomId)) return;
+      holdRoomForHost(room, roomId, (reason) => removePublicRoom(roomId, reason));
+    });
 
-    const networkSet = networkSockets.get(networkKey);
-    if (networkSet) {
-      networkSet.delete(socket);
-      if (networkSet.size === 0) {
-        networkSockets.delete(networkKey);
-      }
+    const remainingConnections = (addressConnections.get(remoteAddress) ?? 1) - 1;
+    if (remainingConnections > 0) {
+      addressConnections.set(remoteAddress, remainingConnections);
+    } else {
+      addressConnections.delete(remoteAddress);
+    }
+
+    removeNetworkSocket(networkKey, socket);
+
+    if (shuttingDown && !wss.clients.size) {
+      void finishShutdown();
     }
   });
 });
 
-wsServer.listen(wsPort, () => {
-  console.log(`[collab] websocket listening on :${wsPort}`);
-});
+await restoreRoomStore();
 
-adminServer.listen(adminPort, () => {
-  console.log(`[collab] admin panel listening on :${adminPort}`);
-});
+if (singlePort) {
+  wsServer.listen(wsPort, () => {
+    console.log(
+      `[collab] websocket (${config.wsPath}) and admin panel (${config.adminBasePath || '/'}) listening on :${wsPort}${tlsEnabled ? ' (TLS)' : ''}`,
+    );
+  });
+} else {
+  wsServer.listen(wsPort, () => {
+    console.log(`[collab] websocket listening on :${wsPort}${tlsEnabled ? ' (TLS)' : ''}`);
+  });
 
-process.on('SIGTERM', () => {
+  adminServer.listen(adminPort, () => {
+    console.log(`[collab] admin panel listening on :${adminPort}${tlsEnabled ? ' (TLS)' : ''}`);
+  });
+}
+
+const finishShutdown = async () => {
+  if (closingSockets) return;
+  closingSockets = true;
+  clearTimeout(shutdownTimer);
+  clearTimeout(tlsReloadTimer);
   clearInterval(heartbeat);
-});
+  clearInterval(shareSweep);
+  if (configSaveTimer) {
+    await saveConfig(config).catch(() => {});
+  }
+  tlsFiles().forEach(([, file]) => unwatchFile(resolveConfigPath(file)));
+  if (config.roomStoreFile) {
+    await writeRoomStore(true);
+    detachPublicRooms();
+  }
+  closeAllRooms('server_shutdown');
+  audit('info', 'server:stop', { sockets: wss.clients.size });
+  const socketsClosed = new Promise((resolve) => wss.close(resolve));
+  wss.clients.forEach((socket) => socket.close(CLOSE_CODE_GOING_AWAY, 'server_shutdown'));
+  const forceClose = setTimeout(() => {
+    wss.clients.forEach((socket) => socket.terminate());
+  }, SHUTDOWN_CLOSE_WAIT_MS);
+  await socketsClosed;
+  clearTimeout(forceClose);
+  wsServer.close();
+  wsServer.closeAllConnections();
+  adminServer.close();
+  adminServer.closeAllConnections();
+  await auditWriteChain;
+  process.exit(0);
+};
+
+const beginShutdown = (signal) => {
+  if (shuttingDown) {
+    console.log(`[collab] received ${signal} again, exiting immediately`);
+    process.exit(1);
+  }
+  shuttingDown = true;
+  draining = true;
+  const graceMs = config.shutdownTimeoutSeconds * 1000;
+  console.log(`[collab] received ${signal}, shutting down in ${config.shutdownTimeoutSeconds}s`);
+  audit('info', 'server:shutdown', { signal, graceMs });
+  const notice = { type: 'server:shutdown', graceMs, shutdownAt: Date.now() + graceMs };
+  wss.clients.forEach((socket) => safeSend(socket, notice));
+  if (!graceMs || !wss.clients.size) {
+    void finishShutdown();
+    return;
+  }
+  shutdownTimer = setTimeout(() => void finishShutdown(), graceMs);
+};
+
+process.on('SIGTERM', () => beginShutdown('SIGTERM'));
+process.on('SIGINT', () => beginShutdown('SIGINT'));